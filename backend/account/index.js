@@ -0,0 +1,42 @@
+// account/index.js
+// Guards the account export and deletion cascade. Every schema path that
+// references a User must be handled by the cascade; checkCoverage lists the
+// ones that aren't so the server can refuse to start with a gap.
+
+// Schema paths whose values are User ids, including inside arrays and
+// nested schemas, e.g. ['ownerId', 'members.userId']
+const findUserRefs = (schema, prefix = '') => {
+  const refs = [];
+  schema.eachPath((name, type) => {
+    const fullName = `${prefix}${name}`;
+    const ref = type.options && (type.options.ref ||
+      (Array.isArray(type.options.type) && type.options.type[0] && type.options.type[0].ref));
+    const casterRef = type.caster && type.caster.options && type.caster.options.ref;
+    if (ref === 'User' || casterRef === 'User') {
+      refs.push(fullName);
+    } else if (type.schema) {
+      refs.push(...findUserRefs(type.schema, `${fullName}.`));
+    }
+  });
+  return refs;
+};
+
+// Pairs of { model, path } that reference a User but are not listed in
+// the cascade. cascade is [{ model, fields }]; skip names models handled
+// elsewhere (the User model itself).
+const checkCoverage = (models, cascade, { skip = ['User'] } = {}) => {
+  const covered = new Map();
+  cascade.forEach(entry => {
+    const fields = covered.get(entry.model.modelName) || new Set();
+    entry.fields.forEach(field => fields.add(field));
+    covered.set(entry.model.modelName, fields);
+  });
+
+  return models
+    .filter(model => !skip.includes(model.modelName))
+    .flatMap(model => findUserRefs(model.schema)
+      .filter(path => !(covered.get(model.modelName) || new Set()).has(path))
+      .map(path => ({ model: model.modelName, path })));
+};
+
+module.exports = { findUserRefs, checkCoverage };
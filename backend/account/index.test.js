@@ -0,0 +1,68 @@
+// account/index.test.js
+const mongoose = require('mongoose');
+const { findUserRefs, checkCoverage } = require('.');
+
+const { ObjectId } = mongoose.Schema.Types;
+
+const MemberSchema = new mongoose.Schema({
+  userId: { type: ObjectId, ref: 'User' },
+  role: String
+});
+
+const ClassroomSchema = new mongoose.Schema({
+  name: String,
+  ownerId: { type: ObjectId, ref: 'User' },
+  members: [MemberSchema],
+  pathId: { type: ObjectId, ref: 'LearningPath' }
+});
+
+const NoteSchema = new mongoose.Schema({
+  userId: { type: ObjectId, ref: 'User' },
+  sharedWith: [{ type: ObjectId, ref: 'User' }],
+  reviewer: { name: String, userId: { type: ObjectId, ref: 'User' } }
+});
+
+// checkCoverage only reads modelName and schema, so no connection is needed
+const model = (modelName, schema) => ({ modelName, schema });
+
+describe('findUserRefs', () => {
+  test('finds refs in subdocument arrays and ignores other models', () => {
+    expect(findUserRefs(ClassroomSchema)).toEqual(['ownerId', 'members.userId']);
+  });
+
+  test('finds arrays of refs and refs in nested objects', () => {
+    expect(findUserRefs(NoteSchema).sort()).toEqual(['reviewer.userId', 'sharedWith', 'userId']);
+  });
+});
+
+describe('checkCoverage', () => {
+  const models = [
+    model('User', new mongoose.Schema({ invitedBy: { type: ObjectId, ref: 'User' } })),
+    model('Classroom', ClassroomSchema),
+    model('Note', NoteSchema)
+  ];
+
+  test('passes when every ref is listed', () => {
+    const cascade = [
+      { model: models[1], fields: ['ownerId', 'members.userId'] },
+      { model: models[2], fields: ['userId'] },
+      { model: models[2], fields: ['sharedWith', 'reviewer.userId'] }
+    ];
+    expect(checkCoverage(models, cascade)).toEqual([]);
+  });
+
+  test('reports refs missing from the cascade, and models missing entirely', () => {
+    const cascade = [
+      { model: models[2], fields: ['userId', 'sharedWith'] }
+    ];
+    expect(checkCoverage(models, cascade)).toEqual([
+      { model: 'Classroom', path: 'ownerId' },
+      { model: 'Classroom', path: 'members.userId' },
+      { model: 'Note', path: 'reviewer.userId' }
+    ]);
+  });
+
+  test('skips the User model unless told otherwise', () => {
+    expect(checkCoverage([models[0]], [], { skip: [] })).toEqual([{ model: 'User', path: 'invitedBy' }]);
+  });
+});
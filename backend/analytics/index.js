@@ -0,0 +1,75 @@
+// analytics/index.js
+// Date helpers for the stats timeline. Everything works in UTC, matching
+// the $dateTrunc / $dateToString stages in the aggregation pipelines.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUCKETS = ['day', 'week'];
+const MAX_BUCKETS = 366;
+
+// Start of the UTC day, or of the UTC week beginning on Monday
+const truncate = (date, bucket) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (bucket === 'week') {
+    const sinceMonday = (day.getUTCDay() + 6) % 7;
+    return new Date(day.getTime() - sinceMonday * DAY_MS);
+  }
+  return day;
+};
+
+const step = (bucket) => (bucket === 'week' ? 7 : 1) * DAY_MS;
+
+// Every bucket start between from and to, inclusive
+const bucketStarts = (from, to, bucket) => {
+  const starts = [];
+  for (let t = truncate(from, bucket).getTime(); t <= to.getTime(); t += step(bucket)) {
+    starts.push(new Date(t));
+  }
+  return starts;
+};
+
+const countBuckets = (from, to, bucket) =>
+  Math.floor((truncate(to, bucket) - truncate(from, bucket)) / step(bucket)) + 1;
+
+// Merge per-bucket aggregation rows ({ _id: Date, ...values }) into a full
+// series, filling gaps with the defaults
+const fillBuckets = (from, to, bucket, rows, defaults) => {
+  const byStart = new Map(rows.map(row => [new Date(row._id).getTime(), row]));
+  return bucketStarts(from, to, bucket).map(start => {
+    const { _id, ...values } = byStart.get(start.getTime()) || {};
+    return { start, ...defaults, ...values };
+  });
+};
+
+// Streaks from a list of 'YYYY-MM-DD' activity days (UTC). The current
+// streak still counts if the last activity was yesterday.
+const computeStreaks = (days, today = new Date()) => {
+  const sorted = [...new Set(days)].sort();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+
+  sorted.forEach(day => {
+    const time = Date.parse(`${day}T00:00:00Z`);
+    run = previous !== null && time - previous === DAY_MS ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = time;
+  });
+
+  const todayStart = truncate(today, 'day').getTime();
+  const current = previous !== null && todayStart - previous <= DAY_MS ? run : 0;
+
+  return {
+    current,
+    longest,
+    lastActiveDay: sorted.length ? sorted[sorted.length - 1] : null
+  };
+};
+
+module.exports = {
+  BUCKETS,
+  MAX_BUCKETS,
+  truncate,
+  countBuckets,
+  fillBuckets,
+  computeStreaks
+};
@@ -0,0 +1,56 @@
+// auth/index.js
+// Password hashing and opaque token helpers for local accounts, email
+// verification, password resets and personal API tokens.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const API_TOKEN_PREFIX = 'nbl_';
+
+// Stored as scrypt$<salt>$<hash>, both hex
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  if (!stored) return false;
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, derived);
+};
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Only the SHA-256 of a token is stored, so a database leak doesn't leak tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = (prefix = '') => {
+  const token = prefix + crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashToken(token) };
+};
+
+const generateApiToken = () => generateToken(API_TOKEN_PREFIX);
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  API_TOKEN_PREFIX,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  hashToken,
+  generateToken,
+  generateApiToken
+};
@@ -0,0 +1,435 @@
+// bundles/index.js
+// Learning path import/export. Two formats round-trip the same data:
+//
+// JSON bundle:
+//   { format: 'nebula-learning-path', version: 1, path: {...}, quizzes: [...], notes: [...] }
+//
+// Markdown:
+//   # Path title
+//   <!-- path {"masteryThreshold":80} -->
+//   Description
+//
+//   ## Lesson title
+//   <!-- lesson {"id":1,"hasQuiz":true} -->
+//   Lesson content
+//
+//   <!-- note {"anchor":{"start":0,"end":6,"quote":"Lesson"}} -->
+//   > The learner's note
+//
+//   <!-- quiz -->
+//   1. Question text
+//      - [ ] Wrong option
+//      - [x] Correct option
+//      <!-- question {"explanation":"..."} -->
+//
+// The HTML comments carry settings that Markdown has no place for and mark
+// where lessons start, so "## " headings inside lesson content survive the
+// round trip. Markdown without any lesson markers is also accepted: every
+// "## " heading then starts a lesson.
+const { isNonEmptyString, validateQuestion } = require('../validators');
+const { NOTE_MAX_LENGTH, reanchor } = require('../notes');
+const languages = require('../languages');
+
+const FORMAT = 'nebula-learning-path';
+const VERSION = 1;
+
+const PATH_SETTINGS = ['masteryThreshold', 'lockProgression', 'remediationEnabled', 'contentLanguage'];
+const LESSON_FIELDS = ['id', 'hasQuiz', 'remedial', 'remedialFor'];
+const QUESTION_FIELDS = [
+  'type', 'question', 'options', 'correct', 'correctAnswers', 'correctOrder',
+  'rubric', 'sampleAnswer', 'explanation'
+];
+const ANCHOR_FIELDS = ['start', 'end', 'quote', 'prefix', 'suffix'];
+// Question fields Markdown can't show as a checkbox list go in a comment
+const QUESTION_META_FIELDS = ['type', 'correctOrder', 'rubric', 'sampleAnswer', 'explanation'];
+
+const pick = (source, keys) => keys.reduce((acc, key) => {
+  if (source[key] !== undefined && source[key] !== null) acc[key] = source[key];
+  return acc;
+}, {});
+
+const groupQuizzes = (quizzes) => quizzes.map(quiz => ({
+  lessonId: quiz.lessonId,
+  questions: quiz.questions.map(q => {
+    const question = pick(q, QUESTION_FIELDS);
+    ['options', 'correctAnswers', 'correctOrder'].forEach(key => {
+      if (question[key]) question[key] = [...question[key]];
+    });
+    if (question.type === 'single') delete question.type;
+    return question;
+  })
+}));
+
+const toBundleNote = (note) => ({
+  lessonId: note.lessonId,
+  body: note.body || '',
+  ...(note.anchor && note.anchor.quote ? { anchor: pick(note.anchor, ANCHOR_FIELDS) } : {}),
+  ...(note.orphaned ? { orphaned: true } : {})
+});
+
+// ====================
+// EXPORT
+// ====================
+
+const toBundle = (path, quizzes = [], notes = []) => ({
+  format: FORMAT,
+  version: VERSION,
+  exportedAt: new Date().toISOString(),
+  path: {
+    title: path.title,
+    description: path.description || '',
+    ...pick(path, PATH_SETTINGS),
+    lessons: path.lessons.map(lesson => ({
+      ...pick(lesson, LESSON_FIELDS),
+      title: lesson.title,
+      content: lesson.content
+    }))
+  },
+  quizzes: groupQuizzes(quizzes),
+  notes: notes.map(toBundleNote)
+});
+
+const singleLine = (text) => String(text).replace(/\s*\n\s*/g, ' ').trim();
+
+const isMarked = (q, i) => (q.correctAnswers ? q.correctAnswers.includes(i) : i === q.correct);
+
+const quizToMarkdown = (quiz) => [
+  '<!-- quiz -->',
+  ...quiz.questions.flatMap((q, idx) => {
+    const meta = pick(q, QUESTION_META_FIELDS);
+    return [
+      `${idx + 1}. ${singleLine(q.question)}`,
+      ...(q.options || []).map((option, i) => `   - [${isMarked(q, i) ? 'x' : ' '}] ${singleLine(option)}`),
+      ...(Object.keys(meta).length ? [`   <!-- question ${JSON.stringify(meta)} -->`] : [])
+    ];
+  })
+].join('\n');
+
+const noteToMarkdown = (note) => {
+  const { lessonId, body, ...meta } = toBundleNote(note);
+  return [
+    `<!-- note ${JSON.stringify(meta)} -->`,
+    ...(body ? body.split('\n').map(line => `> ${line}`.trimEnd()) : [])
+  ].join('\n');
+};
+
+const toMarkdown = (path, quizzes = [], notes = []) => {
+  const sections = [
+    `# ${singleLine(path.title)}\n<!-- path ${JSON.stringify(pick(path, PATH_SETTINGS))} -->`
+  ];
+  if (path.description) sections.push(path.description.trim());
+
+  path.lessons.forEach(lesson => {
+    const lessonQuizzes = groupQuizzes(quizzes.filter(q => q.lessonId === lesson.id));
+    sections.push([
+      `## ${singleLine(lesson.title)}\n<!-- lesson ${JSON.stringify(pick(lesson, LESSON_FIELDS))} -->`,
+      lesson.content.trim(),
+      ...notes.filter(n => n.lessonId === lesson.id).map(noteToMarkdown),
+      ...lessonQuizzes.map(quizToMarkdown)
+    ].join('\n\n'));
+  });
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+// ====================
+// IMPORT
+// ====================
+
+const parseMeta = (line, kind, lineNo, errors) => {
+  const match = line.match(new RegExp(`^<!--\\s*${kind}\\s*(\\{.*\\})?\\s*-->$`));
+  if (!match) return null;
+  if (!match[1]) return {};
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    errors.push(`Line ${lineNo}: ${kind} settings are not valid JSON`);
+    return {};
+  }
+};
+
+const parseQuizBlock = (lines, startLineNo, errors) => {
+  const questions = [];
+  lines.forEach((line, idx) => {
+    const lineNo = startLineNo + idx;
+    if (!line.trim()) return;
+
+    const question = line.match(/^\d+\.\s+(.*)$/);
+    if (question) {
+      questions.push({ question: question[1].trim(), options: [], marked: [] });
+      return;
+    }
+
+    const current = questions[questions.length - 1];
+    const option = line.match(/^\s+[-*]\s+\[( |x|X)\]\s+(.*)$/);
+    if (option && current) {
+      if (option[1] !== ' ') current.marked.push(current.options.length);
+      current.options.push(option[2].trim());
+      return;
+    }
+
+    const meta = current && parseMeta(line.trim(), 'question', lineNo, errors);
+    if (meta) {
+      Object.assign(current, pick(meta, QUESTION_META_FIELDS));
+      return;
+    }
+
+    errors.push(`Line ${lineNo}: expected a numbered question or a "- [ ]" option`);
+  });
+
+  // Checked boxes are the answer key for choice questions
+  return questions.map(({ marked, ...q }) => {
+    if (q.type === 'multiple') return { ...q, correctAnswers: marked };
+    if (q.type === 'short_answer') return { ...q, options: undefined };
+    if (q.type === 'ordering') return q;
+    return { ...q, correct: marked.length === 1 ? marked[0] : undefined };
+  });
+};
+
+// A note is its marker followed by the body as "> " quoted lines
+const parseNoteBlock = (lines, startLineNo, errors) => {
+  const meta = parseMeta(lines[0].trim(), 'note', startLineNo, errors) || {};
+  const body = [];
+  lines.slice(1).forEach((line, idx) => {
+    if (!line.trim()) return;
+    const quoted = line.match(/^>\s?(.*)$/);
+    if (quoted) {
+      body.push(quoted[1]);
+    } else {
+      errors.push(`Line ${startLineNo + idx + 1}: expected note text quoted with "> "`);
+    }
+  });
+  return { ...meta, body: body.join('\n') };
+};
+
+// Split a lesson body into content and any trailing note and quiz blocks
+const parseLessonBody = (bodyLines, startLineNo, errors) => {
+  const blockStarts = [];
+  bodyLines.forEach((line, idx) => {
+    if (/^<!--\s*quiz\s*-->$/.test(line.trim())) blockStarts.push({ idx, kind: 'quiz' });
+    if (/^<!--\s*note\b/.test(line.trim())) blockStarts.push({ idx, kind: 'note' });
+  });
+
+  const contentEnd = blockStarts.length ? blockStarts[0].idx : bodyLines.length;
+  const quizzes = [];
+  const notes = [];
+  blockStarts.forEach(({ idx: start, kind }, i) => {
+    const end = i + 1 < blockStarts.length ? blockStarts[i + 1].idx : bodyLines.length;
+    if (kind === 'quiz') {
+      quizzes.push({
+        questions: parseQuizBlock(bodyLines.slice(start + 1, end), startLineNo + start + 1, errors)
+      });
+    } else {
+      notes.push(parseNoteBlock(bodyLines.slice(start, end), startLineNo + start, errors));
+    }
+  });
+
+  return {
+    content: bodyLines.slice(0, contentEnd).join('\n').trim(),
+    quizzes,
+    notes
+  };
+};
+
+const parseMarkdown = (text) => {
+  const errors = [];
+  const lines = String(text).replace(/\r\n/g, '\n').split('\n');
+
+  const titleIdx = lines.findIndex(line => /^#\s+\S/.test(line));
+  if (titleIdx === -1) {
+    return { value: null, errors: ['Markdown must start with a "# Title" heading'] };
+  }
+
+  const hasMarkers = lines.some(line => /^<!--\s*lesson\b/.test(line.trim()));
+  const isLessonStart = (idx) => /^##\s+\S/.test(lines[idx]) &&
+    (!hasMarkers || /^<!--\s*lesson\b/.test((lines[idx + 1] || '').trim()));
+
+  const lessonStarts = [];
+  for (let idx = titleIdx + 1; idx < lines.length; idx++) {
+    if (isLessonStart(idx)) lessonStarts.push(idx);
+  }
+
+  const headerEnd = lessonStarts.length ? lessonStarts[0] : lines.length;
+  let settings = {};
+  let descriptionStart = titleIdx + 1;
+  const pathMeta = parseMeta((lines[titleIdx + 1] || '').trim(), 'path', titleIdx + 2, errors);
+  if (pathMeta) {
+    settings = pathMeta;
+    descriptionStart++;
+  }
+
+  const data = {
+    title: lines[titleIdx].replace(/^#\s+/, '').trim(),
+    description: lines.slice(descriptionStart, headerEnd).join('\n').trim(),
+    ...pick(settings, PATH_SETTINGS),
+    lessons: []
+  };
+  const quizzes = [];
+  const notes = [];
+
+  lessonStarts.forEach((start, i) => {
+    const end = i + 1 < lessonStarts.length ? lessonStarts[i + 1] : lines.length;
+    let bodyStart = start + 1;
+    let meta = {};
+    const lessonMeta = parseMeta((lines[start + 1] || '').trim(), 'lesson', start + 2, errors);
+    if (lessonMeta) {
+      meta = lessonMeta;
+      bodyStart++;
+    }
+
+    const body = parseLessonBody(lines.slice(bodyStart, end), bodyStart + 1, errors);
+    const lesson = {
+      ...pick(meta, LESSON_FIELDS),
+      title: lines[start].replace(/^##\s+/, '').trim(),
+      content: body.content
+    };
+    data.lessons.push(lesson);
+    body.quizzes.forEach(quiz => quizzes.push({ lessonIndex: i, ...quiz }));
+    body.notes.forEach(note => notes.push({ lessonIndex: i, ...note }));
+  });
+
+  if (errors.length) return { value: null, errors };
+  return validateImport(data, quizzes, notes);
+};
+
+const parseBundle = (bundle) => {
+  let data = bundle;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (error) {
+      return { value: null, errors: [`Bundle is not valid JSON: ${error.message}`] };
+    }
+  }
+
+  if (!data || typeof data !== 'object' || data.format !== FORMAT) {
+    return { value: null, errors: [`Bundle "format" must be "${FORMAT}"`] };
+  }
+  if (data.version !== VERSION) {
+    return { value: null, errors: [`Unsupported bundle version ${data.version}; expected ${VERSION}`] };
+  }
+  if (!data.path || typeof data.path !== 'object') {
+    return { value: null, errors: ['Bundle is missing "path"'] };
+  }
+
+  const lessons = Array.isArray(data.path.lessons) ? data.path.lessons : [];
+  const lessonIndex = (lessonId) => lessons.findIndex(l => l && l.id !== undefined && l.id === lessonId);
+  const quizzes = (Array.isArray(data.quizzes) ? data.quizzes : []).map(quiz => ({
+    lessonIndex: lessonIndex(quiz.lessonId),
+    questions: quiz.questions
+  }));
+  const notes = (Array.isArray(data.notes) ? data.notes : []).map(note => ({
+    ...note,
+    lessonIndex: lessonIndex(note && note.lessonId)
+  }));
+
+  return validateImport(data.path, quizzes, notes);
+};
+
+// Shared checks for both formats. Quizzes and notes refer to lessons by
+// position.
+const validateImport = (data, quizzes, notes = []) => {
+  const errors = [];
+
+  if (!isNonEmptyString(data.title)) errors.push('Path title is required');
+  if (!Array.isArray(data.lessons) || data.lessons.length === 0) {
+    errors.push('At least one lesson is required');
+  }
+
+  const lessons = (data.lessons || []).map((lesson, idx) => {
+    const label = `Lesson ${idx + 1}${lesson && lesson.title ? ` ("${lesson.title}")` : ''}`;
+    if (!lesson || !isNonEmptyString(lesson.title)) errors.push(`${label} is missing a title`);
+    if (!lesson || !isNonEmptyString(lesson.content)) errors.push(`${label} has no content`);
+    return { ...pick(lesson || {}, LESSON_FIELDS), title: lesson && lesson.title, content: lesson && lesson.content };
+  });
+
+  // Keep exported ids when they are usable so quiz and remedial links hold
+  const ids = lessons.map(l => l.id);
+  const idsUsable = ids.every(id => Number.isInteger(id) && id > 0) && new Set(ids).size === ids.length;
+  lessons.forEach((lesson, idx) => {
+    if (!idsUsable) {
+      lesson.id = idx + 1;
+      delete lesson.remedialFor;
+    }
+  });
+
+  const threshold = data.masteryThreshold;
+  if (threshold !== undefined && (typeof threshold !== 'number' || threshold < 0 || threshold > 100)) {
+    errors.push('masteryThreshold must be a number from 0 to 100');
+  }
+  if (data.contentLanguage !== undefined && !languages.CODES.includes(data.contentLanguage)) {
+    errors.push(`contentLanguage must be one of: ${languages.CODES.join(', ')}`);
+  }
+
+  const checkedQuizzes = quizzes.map((quiz, qIdx) => {
+    const label = `Quiz ${qIdx + 1}`;
+    if (quiz.lessonIndex < 0 || !lessons[quiz.lessonIndex]) {
+      errors.push(`${label} does not belong to any lesson`);
+      return null;
+    }
+    if (!Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+      errors.push(`${label} has no questions`);
+      return null;
+    }
+    return {
+      lessonId: lessons[quiz.lessonIndex].id,
+      questions: quiz.questions.map((q, idx) => validateQuestion(q, `${label}, question ${idx + 1}`, errors))
+    };
+  });
+
+  // Anchors are found again in the imported content rather than trusted
+  const checkedNotes = notes.map((note, nIdx) => {
+    const label = `Note ${nIdx + 1}`;
+    const lesson = lessons[note.lessonIndex];
+    if (note.lessonIndex < 0 || !lesson) {
+      errors.push(`${label} does not belong to any lesson`);
+      return null;
+    }
+    if (note.body !== undefined && typeof note.body !== 'string') {
+      errors.push(`${label} body must be a string`);
+      return null;
+    }
+    const body = (note.body || '').trim();
+    if (body.length > NOTE_MAX_LENGTH) {
+      errors.push(`${label} is longer than ${NOTE_MAX_LENGTH} characters`);
+    }
+    const saved = note.anchor && typeof note.anchor === 'object' && typeof note.anchor.quote === 'string'
+      ? pick(note.anchor, ANCHOR_FIELDS)
+      : null;
+    if (!body && !saved) {
+      errors.push(`${label} has neither text nor a highlight`);
+    }
+    const anchor = saved && reanchor(String(lesson.content || ''), saved);
+    return {
+      lessonId: lesson.id,
+      body,
+      anchor: anchor || saved || undefined,
+      orphaned: Boolean(saved && !anchor)
+    };
+  });
+
+  if (errors.length) return { value: null, errors };
+
+  return {
+    value: {
+      path: {
+        title: data.title.trim(),
+        description: (data.description || '').trim(),
+        ...pick(data, PATH_SETTINGS),
+        lessons
+      },
+      quizzes: checkedQuizzes,
+      notes: checkedNotes
+    },
+    errors
+  };
+};
+
+module.exports = {
+  FORMAT,
+  VERSION,
+  toBundle,
+  toMarkdown,
+  parseBundle,
+  parseMarkdown
+};
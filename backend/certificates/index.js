@@ -0,0 +1,214 @@
+// certificates/index.js
+// Completion certificates: ids, signatures and server-side rendering to PDF
+// (pdfkit) and PNG (pureimage). Both renderers use the bundled DejaVu fonts
+// so names outside Latin-1 still print, and fall back to Noto Sans for text
+// in Chinese, Japanese or Korean, which DejaVu has no glyphs for.
+const crypto = require('crypto');
+const path = require('path');
+const { PassThrough } = require('stream');
+const fontkit = require('fontkit');
+const PDFDocument = require('pdfkit');
+const PImage = require('pureimage');
+
+const fontFile = (pkg, file) => path.join(path.dirname(require.resolve(`${pkg}/package.json`)), file);
+const dejavu = (file) => fontFile('dejavu-fonts-ttf', `ttf/${file}`);
+const notoSc = (weight) => fontFile('@expo-google-fonts/noto-sans-sc', `${weight}/NotoSansSC_${weight}.ttf`);
+const notoKr = (weight) => fontFile('@expo-google-fonts/noto-sans-kr', `${weight}/NotoSansKR_${weight}.ttf`);
+
+// Each style lists its fonts in order of preference. Noto Sans SC covers
+// Chinese and Japanese, Noto Sans KR covers Korean.
+const FONTS = {
+  regular: [dejavu('DejaVuSans.ttf'), notoSc('400Regular'), notoKr('400Regular')],
+  bold: [dejavu('DejaVuSans-Bold.ttf'), notoSc('700Bold'), notoKr('700Bold')],
+  serif: [dejavu('DejaVuSerif-Bold.ttf'), notoSc('700Bold'), notoKr('700Bold')]
+};
+
+const glyphSets = new Map();
+const openFont = (file) => {
+  if (!glyphSets.has(file)) glyphSets.set(file, fontkit.openSync(file));
+  return glyphSets.get(file);
+};
+
+// Index into FONTS[style] of the font that can print the most of text. The
+// first font wins a tie, so text DejaVu can print always uses it.
+const fontIndexFor = (style, text) => {
+  const chars = [...String(text)].filter(c => c.trim());
+  const counts = [];
+  for (const file of FONTS[style]) {
+    const font = openFont(file);
+    counts.push(chars.filter(c => font.hasGlyphForCodePoint(c.codePointAt(0))).length);
+    if (counts[counts.length - 1] === chars.length) break;
+  }
+  return counts.indexOf(Math.max(...counts));
+};
+
+const COLORS = { ink: '#1f2937', muted: '#6b7280', accent: '#4f46e5' };
+
+// Unambiguous alphabet (no 0/O, 1/I) for ids people may type in
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// e.g. NBL-7KQ2-M9XD-4RTA
+const generateCertificateId = () => {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, b => ID_ALPHABET[b % ID_ALPHABET.length]).join('');
+  return `NBL-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+// Fingerprint of a path's teaching material. Reordering lessons or changing
+// settings keeps it; adding, removing or rewriting lessons changes it.
+// Remedial lessons are extra review written for the learner's mistakes, so
+// they don't count as the material the certificate is for.
+const contentHash = (learningPath) => {
+  const lessons = learningPath.lessons
+    .filter(l => !l.remedial)
+    .sort((a, b) => a.id - b.id)
+    .map(l => [l.id, l.title, l.content]);
+  return crypto.createHash('sha256').update(JSON.stringify(lessons)).digest('hex');
+};
+
+const SIGNED_FIELDS = ['certificateId', 'learnerName', 'pathTitle', 'completedAt', 'averageScore', 'contentHash'];
+
+const canonical = (cert) => JSON.stringify(SIGNED_FIELDS.map(field => {
+  const value = cert[field];
+  return value instanceof Date ? value.toISOString() : (value === undefined ? null : value);
+}));
+
+// HMAC over the printed fields, so a certificate edited in the database no
+// longer verifies
+const sign = (cert, secret) =>
+  crypto.createHmac('sha256', secret).update(canonical(cert)).digest('hex');
+
+const hasValidSignature = (cert, secret) => {
+  if (typeof cert.signature !== 'string') return false;
+  const expected = Buffer.from(sign(cert, secret), 'hex');
+  const actual = Buffer.from(cert.signature, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+});
+
+const scoreLine = (cert) => (cert.averageScore === null || cert.averageScore === undefined
+  ? 'No quizzes taken'
+  : `Average quiz score: ${Math.round(cert.averageScore)}%`);
+
+// The text printed on a certificate, top to bottom
+const certificateLines = (cert, verifyUrl) => [
+  { text: 'Certificate of Completion', font: 'serif', size: 40, color: COLORS.accent, gap: 36 },
+  { text: 'This certifies that', font: 'regular', size: 16, color: COLORS.muted, gap: 12 },
+  { text: cert.learnerName, font: 'bold', size: 32, color: COLORS.ink, gap: 18 },
+  { text: 'has completed the learning path', font: 'regular', size: 16, color: COLORS.muted, gap: 12 },
+  { text: cert.pathTitle, font: 'bold', size: 24, color: COLORS.ink, gap: 32 },
+  { text: `Completed on ${formatDate(cert.completedAt)}   ·   ${scoreLine(cert)}`, font: 'regular', size: 14, color: COLORS.ink, gap: 40 },
+  { text: `Certificate ID: ${cert.certificateId}`, font: 'regular', size: 11, color: COLORS.muted, gap: 6 },
+  { text: `Verify at ${verifyUrl}`, font: 'regular', size: 11, color: COLORS.muted, gap: 0 }
+];
+
+// A4 landscape, in points
+const renderPdf = (cert, { verifyUrl }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 60,
+    info: { Title: `Certificate ${cert.certificateId}`, Subject: cert.pathTitle }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  Object.entries(FONTS).forEach(([style, files]) =>
+    files.forEach((file, idx) => doc.registerFont(`${style}-${idx}`, file)));
+
+  const { width, height } = doc.page;
+  doc.lineWidth(3).strokeColor(COLORS.accent).rect(24, 24, width - 48, height - 48).stroke();
+  doc.lineWidth(1).rect(32, 32, width - 64, height - 64).stroke();
+
+  doc.y = 95;
+  certificateLines(cert, verifyUrl).forEach(line => {
+    doc.font(`${line.font}-${fontIndexFor(line.font, line.text)}`).fontSize(line.size).fillColor(line.color)
+      .text(line.text, 60, doc.y, { width: width - 120, align: 'center' });
+    doc.y += line.gap;
+  });
+
+  doc.end();
+});
+
+// pureimage parses a font in full, so each is loaded the first time it's used
+const pngFonts = new Map();
+const loadPngFont = (style, idx) => {
+  const family = `cert-${style}-${idx}`;
+  if (!pngFonts.has(family)) {
+    pngFonts.set(family, PImage.registerFont(FONTS[style][idx], family).load().then(() => family));
+  }
+  return pngFonts.get(family);
+};
+
+// Words with the spaces before them. Chinese and Japanese are written
+// without spaces, so each of their characters counts as a word.
+const WORDS = /\s*(?:[\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]|[^\s\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]+)/g;
+
+// Greedy word wrap using the context's current font
+const wrap = (ctx, text, maxWidth) => {
+  const lines = [];
+  let current = '';
+  (String(text).match(WORDS) || []).forEach(word => {
+    const candidate = current ? current + word : word.trimStart();
+    if (current && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(current);
+      current = word.trimStart();
+    } else {
+      current = candidate;
+    }
+  });
+  if (current) lines.push(current);
+  return lines;
+};
+
+// Same layout as the PDF at scale pixels per point
+const renderPng = async (cert, { verifyUrl, scale = 2 }) => {
+  const lines = certificateLines(cert, verifyUrl);
+  const families = await Promise.all(lines.map(line => loadPngFont(line.font, fontIndexFor(line.font, line.text))));
+  const width = Math.round(842 * scale);
+  const height = Math.round(595 * scale);
+  const img = PImage.make(width, height);
+  const ctx = img.getContext('2d');
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.strokeStyle = COLORS.accent;
+  ctx.lineWidth = 3 * scale;
+  ctx.strokeRect(24 * scale, 24 * scale, width - 48 * scale, height - 48 * scale);
+  ctx.lineWidth = scale;
+  ctx.strokeRect(32 * scale, 32 * scale, width - 64 * scale, height - 64 * scale);
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  let y = 95 * scale;
+  lines.forEach((line, idx) => {
+    const size = line.size * scale;
+    ctx.font = `${size}px ${families[idx]}`;
+    ctx.fillStyle = line.color;
+    wrap(ctx, line.text, width - 120 * scale).forEach(text => {
+      ctx.fillText(text, width / 2, y);
+      y += size * 1.2;
+    });
+    y += line.gap * scale;
+  });
+
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', chunk => chunks.push(chunk));
+  await PImage.encodePNGToStream(img, out);
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  generateCertificateId,
+  contentHash,
+  sign,
+  hasValidSignature,
+  renderPdf,
+  renderPng
+};
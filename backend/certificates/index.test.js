@@ -0,0 +1,41 @@
+// certificates/index.test.js
+const { contentHash, sign, hasValidSignature, generateCertificateId } = require('.');
+
+const lessons = [
+  { id: 1, title: 'Basics', content: 'Start here.' },
+  { id: 2, title: 'Next', content: 'Then this.' }
+];
+
+describe('contentHash', () => {
+  test('ignores lesson order', () => {
+    expect(contentHash({ lessons: [lessons[1], lessons[0]] })).toBe(contentHash({ lessons }));
+  });
+
+  test('ignores remedial lessons', () => {
+    const remedial = { id: 3, title: 'Review: Basics', content: 'Again.', remedial: true, remedialFor: 1 };
+    expect(contentHash({ lessons: [...lessons, remedial] })).toBe(contentHash({ lessons }));
+  });
+
+  test('changes when a lesson is rewritten', () => {
+    const edited = [lessons[0], { ...lessons[1], content: 'Something else.' }];
+    expect(contentHash({ lessons: edited })).not.toBe(contentHash({ lessons }));
+  });
+});
+
+describe('signatures', () => {
+  const cert = {
+    certificateId: generateCertificateId(),
+    learnerName: '山田 太郎',
+    pathTitle: 'Learning Git',
+    completedAt: new Date('2026-01-02T00:00:00Z'),
+    averageScore: 91,
+    contentHash: contentHash({ lessons })
+  };
+
+  test('verify until a printed field changes', () => {
+    const signed = { ...cert, signature: sign(cert, 'secret') };
+    expect(hasValidSignature(signed, 'secret')).toBe(true);
+    expect(hasValidSignature({ ...signed, averageScore: 99 }, 'secret')).toBe(false);
+    expect(hasValidSignature(signed, 'other')).toBe(false);
+  });
+});
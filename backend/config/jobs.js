@@ -0,0 +1,26 @@
+// config/jobs.js
+// Background job worker settings. Times are in milliseconds.
+
+const readNumber = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : Number(value);
+};
+
+module.exports = {
+  // How often the worker looks for queued jobs when idle
+  pollInterval: readNumber('JOB_POLL_INTERVAL_MS', 1000),
+  // Jobs run at the same time in this process
+  concurrency: readNumber('JOB_CONCURRENCY', 2),
+  // Runs per job, including the first
+  maxAttempts: readNumber('JOB_MAX_ATTEMPTS', 3),
+  // Retry delay doubles from backoffBase up to backoffMax
+  backoffBase: readNumber('JOB_BACKOFF_BASE_MS', 2000),
+  backoffMax: readNumber('JOB_BACKOFF_MAX_MS', 60000),
+  // A running job whose lock hasn't been renewed for this long is assumed
+  // lost (its process died) and re-run
+  lockTimeout: readNumber('JOB_LOCK_TIMEOUT_MS', 5 * 60 * 1000),
+  // How often a running job renews its lock; well under lockTimeout
+  heartbeatInterval: readNumber('JOB_HEARTBEAT_INTERVAL_MS', 60 * 1000),
+  // Finished jobs (and their idempotency keys) are kept this long
+  retention: readNumber('JOB_RETENTION_MS', 24 * 60 * 60 * 1000)
+};
@@ -0,0 +1,55 @@
+// config/llm.js
+// Per-feature model settings. Every value can be overridden with
+// LLM_<FEATURE>_<SETTING> (e.g. LLM_QUIZZES_PROVIDER=stub), falling back to
+// the global LLM_<SETTING> and then to the defaults below.
+
+const defaults = {
+  provider: 'anthropic',
+  model: 'claude-sonnet-4-20250514',
+  maxTokens: 1024,
+  temperature: undefined,
+  // Total tries when the reply fails validation (first call + repairs)
+  maxAttempts: 3
+};
+
+const features = {
+  paths: { maxTokens: 2000 },
+  quizzes: { maxTokens: 1500 },
+  remediation: { maxTokens: 1200 },
+  lessons: { maxTokens: 1500 },
+  grading: { maxTokens: 1000, temperature: 0 },
+  tutor: { maxTokens: 800 },
+  recommendations: { maxTokens: 800 },
+  // One lesson, path header or quiz per reply; CJK output takes more tokens
+  translation: { maxTokens: 2000 }
+};
+
+const envKeys = {
+  provider: 'PROVIDER',
+  model: 'MODEL',
+  maxTokens: 'MAX_TOKENS',
+  temperature: 'TEMPERATURE',
+  maxAttempts: 'MAX_ATTEMPTS'
+};
+
+const numeric = new Set(['maxTokens', 'temperature', 'maxAttempts']);
+
+const readEnv = (name, setting) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  return numeric.has(setting) ? Number(value) : value;
+};
+
+const forFeature = (feature) => {
+  const prefix = `LLM_${feature.toUpperCase().replace(/-/g, '_')}_`;
+  const settings = { ...defaults, ...features[feature] };
+
+  Object.entries(envKeys).forEach(([setting, key]) => {
+    const value = readEnv(prefix + key, setting) ?? readEnv(`LLM_${key}`, setting);
+    if (value !== undefined) settings[setting] = value;
+  });
+
+  return settings;
+};
+
+module.exports = { defaults, features, forFeature };
@@ -0,0 +1,13 @@
+// config/quotas.js
+// Per-user model token quotas (input + output tokens). Windows reset at
+// midnight UTC and on the first of the month UTC. 0 disables a limit.
+
+const readLimit = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : Number(value);
+};
+
+module.exports = {
+  day: readLimit('QUOTA_DAILY_TOKENS', 200000),
+  month: readLimit('QUOTA_MONTHLY_TOKENS', 2000000)
+};
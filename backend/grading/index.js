@@ -0,0 +1,152 @@
+// grading/index.js
+// Question types and how each is shown to the learner and graded.
+//
+//   single        options[], correct: index
+//   true_false    options ['True', 'False'], correct: index
+//   multiple      options[], correctAnswers: [index, ...]
+//   ordering      options[] (shuffled), correctOrder: [index, ...] in order
+//   short_answer  rubric, sampleAnswer; graded by the model
+//
+// Answers are an option index, an array of indices (multiple, ordering) or
+// free text (short_answer). Every grade is a credit from 0 to 1.
+
+const QUESTION_TYPES = ['single', 'multiple', 'true_false', 'ordering', 'short_answer'];
+
+// Fields that make up the answer key; never sent before grading
+const KEY_FIELDS = ['correct', 'correctAnswers', 'correctOrder', 'rubric', 'sampleAnswer', 'explanation'];
+
+const typeOf = (question) => question.type || 'single';
+
+const isModelGraded = (question) => typeOf(question) === 'short_answer';
+
+// The question as the learner sees it before submitting
+const toClientQuestion = (question) => ({
+  id: question.id,
+  type: typeOf(question),
+  question: question.question,
+  ...(typeOf(question) !== 'short_answer' && { options: question.options })
+});
+
+// The answer key, shown alongside the learner's answer after grading
+const answerKey = (question) => {
+  switch (typeOf(question)) {
+    case 'multiple':
+      return { correctAnswers: question.correctAnswers };
+    case 'ordering':
+      return { correctOrder: question.correctOrder };
+    case 'short_answer':
+      return { sampleAnswer: question.sampleAnswer };
+    default:
+      return { correct: question.correct };
+  }
+};
+
+const uniqueIndices = (value, max) => Array.isArray(value) &&
+  value.every(i => Number.isInteger(i) && i >= 0 && i < max) &&
+  new Set(value).size === value.length;
+
+// Coerce a submitted answer into the shape its question expects, or null
+const normalizeAnswer = (question, answer) => {
+  const optionCount = (question.options || []).length;
+  switch (typeOf(question)) {
+    case 'multiple':
+      return uniqueIndices(answer, optionCount) ? [...answer].sort((a, b) => a - b) : null;
+    case 'ordering':
+      return uniqueIndices(answer, optionCount) && answer.length === optionCount ? answer : null;
+    case 'short_answer':
+      return typeof answer === 'string' && answer.trim() ? answer.trim().slice(0, 2000) : null;
+    default:
+      return Number.isInteger(answer) && answer >= 0 && answer < optionCount ? answer : null;
+  }
+};
+
+// Grade everything except short answers. Multiple-select earns credit for
+// each correct pick minus each wrong pick; ordering earns credit per item
+// in the right position.
+const gradeObjective = (question, answer) => {
+  if (answer === null || answer === undefined) return 0;
+
+  switch (typeOf(question)) {
+    case 'multiple': {
+      const key = new Set(question.correctAnswers);
+      const right = answer.filter(i => key.has(i)).length;
+      const wrong = answer.length - right;
+      return Math.max(0, (right - wrong) / key.size);
+    }
+    case 'ordering': {
+      const inPlace = answer.filter((item, idx) => item === question.correctOrder[idx]).length;
+      return inPlace / question.correctOrder.length;
+    }
+    case 'short_answer':
+      throw new Error('Short answers are graded by the model');
+    default:
+      return answer === question.correct ? 1 : 0;
+  }
+};
+
+// Readable text for prompts, e.g. remedial lesson generation
+const describeAnswer = (question, answer) => {
+  if (answer === null || answer === undefined) return '(no answer)';
+  switch (typeOf(question)) {
+    case 'multiple':
+      return answer.map(i => question.options[i]).join('; ');
+    case 'ordering':
+      return answer.map(i => question.options[i]).join(' → ');
+    case 'short_answer':
+      return answer;
+    default:
+      return question.options[answer];
+  }
+};
+
+const describeKey = (question) => {
+  switch (typeOf(question)) {
+    case 'multiple':
+      return question.correctAnswers.map(i => question.options[i]).join('; ');
+    case 'ordering':
+      return question.correctOrder.map(i => question.options[i]).join(' → ');
+    case 'short_answer':
+      return question.sampleAnswer;
+    default:
+      return question.options[question.correct];
+  }
+};
+
+// Shuffle an ordering question generated in the correct order, so the
+// stored options don't give the answer away
+const shuffleOrdering = (question) => {
+  const order = question.options.map((option, idx) => idx);
+  for (let attempt = 0; attempt < 5 && order.every((value, idx) => value === idx); attempt++) {
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+  }
+
+  // order[k] is the original index of the option shown at position k
+  const options = order.map(idx => question.options[idx]);
+  const correctOrder = question.correctOrder.map(original => order.indexOf(original));
+  return { ...question, options, correctOrder };
+};
+
+// Map a credit to an SM-2 quality for the review queue
+const creditToQuality = (credit) => {
+  if (credit >= 1) return 4;
+  if (credit >= 0.5) return 3;
+  return 1;
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  KEY_FIELDS,
+  typeOf,
+  isModelGraded,
+  toClientQuestion,
+  answerKey,
+  normalizeAnswer,
+  gradeObjective,
+  describeAnswer,
+  describeKey,
+  shuffleOrdering,
+  creditToQuality
+};
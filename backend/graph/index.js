@@ -0,0 +1,60 @@
+// graph/index.js
+// Prerequisite graph between learning paths. Nodes are path ids as strings;
+// edges maps each path to the ids of its prerequisites.
+
+// A chain of prerequisites leading from start back to target, or null.
+// Used before adding "from requires to": if to already (indirectly)
+// requires from, the new edge would close a cycle.
+const findPath = (edges, start, target) => {
+  const visited = new Set();
+  const walk = (node, trail) => {
+    if (node === target) return trail;
+    if (visited.has(node)) return null;
+    visited.add(node);
+    for (const next of edges.get(node) || []) {
+      const found = walk(next, [...trail, next]);
+      if (found) return found;
+    }
+    return null;
+  };
+  return walk(start, [start]);
+};
+
+// The cycle that giving `node` these prerequisites would create, as a list
+// of ids starting and ending with node, or null if the graph stays acyclic
+const findCycle = (edges, node, prerequisiteIds) => {
+  for (const prerequisite of prerequisiteIds) {
+    const back = findPath(edges, prerequisite, node);
+    if (back) return [node, ...back];
+  }
+  return null;
+};
+
+// Order nodes so every path comes after its prerequisites (Kahn's
+// algorithm). Edges to unknown nodes are ignored. Nodes left in a cycle,
+// which the API prevents, are appended at the end.
+const topologicalOrder = (nodes, edges) => {
+  const known = new Set(nodes);
+  const remaining = new Map(nodes.map(node => [
+    node,
+    (edges.get(node) || []).filter(dep => known.has(dep) && dep !== node).length
+  ]));
+  const dependents = new Map(nodes.map(node => [node, []]));
+  nodes.forEach(node => (edges.get(node) || []).forEach(dep => {
+    if (known.has(dep) && dep !== node) dependents.get(dep).push(node);
+  }));
+
+  const order = [];
+  const ready = nodes.filter(node => remaining.get(node) === 0);
+  while (ready.length) {
+    const node = ready.shift();
+    order.push(node);
+    dependents.get(node).forEach(next => {
+      remaining.set(next, remaining.get(next) - 1);
+      if (remaining.get(next) === 0) ready.push(next);
+    });
+  }
+  return [...order, ...nodes.filter(node => !order.includes(node))];
+};
+
+module.exports = { findPath, findCycle, topologicalOrder };
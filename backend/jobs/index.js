@@ -0,0 +1,192 @@
+// jobs/index.js
+// In-process worker for jobs stored in MongoDB. The Job model lives in
+// server.js; this module only claims, runs and retries documents.
+const crypto = require('crypto');
+
+// Throw from a handler when retrying cannot help (bad input, deleted data)
+class PermanentJobError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'PermanentJobError';
+    this.details = details;
+  }
+}
+
+// Delay before the next run after `attempt` failed runs: exponential with
+// full jitter, so retries from many jobs don't line up
+const backoffDelay = (attempt, { backoffBase, backoffMax }, random = Math.random) => {
+  const ceiling = Math.min(backoffMax, backoffBase * 2 ** Math.max(0, attempt - 1));
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+};
+
+// Fingerprint of a submission, to tell a retried request from a different
+// request reusing the same Idempotency-Key
+const requestHash = (type, input) =>
+  crypto.createHash('sha256').update(JSON.stringify([type, input])).digest('hex');
+
+// Create a worker. handlers maps job type to async (job, { progress }) =>
+// result; progress(percent) records how far the job has got.
+// isRetryable(error) decides whether a failed run is tried again.
+const createWorker = ({ Job, handlers, config, isRetryable = () => true, log = console }) => {
+  let running = 0;
+  let timer = null;
+  let stopped = true;
+  let ticking = false;
+  let rerun = false;
+
+  // Atomically take the oldest runnable job: queued and due, or running
+  // with a lock old enough that its worker must have died
+  const claim = () => {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lt: new Date(now - config.lockTimeout) } }
+        ]
+      },
+      { $set: { status: 'running', lockedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+      { sort: { runAt: 1 }, new: true }
+    );
+  };
+
+  const finish = (job, update) => Job.updateOne(
+    { _id: job._id, lockedAt: job.lockedAt },
+    {
+      $set: {
+        ...update,
+        lockedAt: null,
+        updatedAt: new Date(),
+        expiresAt: new Date(Date.now() + config.retention)
+      }
+    }
+  );
+
+  // Renew the lock while the handler runs, so a long job isn't taken for
+  // lost and run a second time. Updates that fence on lockedAt read it from
+  // job, which tracks the renewals. The returned stop() resolves once any
+  // renewal in flight has landed.
+  const keepLocked = (job) => {
+    let renewing = Promise.resolve();
+    const timer = setInterval(() => {
+      renewing = renewing.then(async () => {
+        const lockedAt = new Date();
+        const { modifiedCount } = await Job.updateOne(
+          { _id: job._id, lockedAt: job.lockedAt },
+          { $set: { lockedAt } }
+        );
+        if (modifiedCount) job.lockedAt = lockedAt;
+      }).catch(error => log.error('Error renewing job lock:', error));
+    }, config.heartbeatInterval);
+    if (timer.unref) timer.unref();
+
+    return () => {
+      clearInterval(timer);
+      return renewing;
+    };
+  };
+
+  const run = async (job) => {
+    const handler = handlers[job.type];
+    const stopRenewing = keepLocked(job);
+    try {
+      if (!handler) {
+        throw new PermanentJobError(`Unknown job type: ${job.type}`);
+      }
+
+      const progress = (percent) => Job.updateOne(
+        { _id: job._id, lockedAt: job.lockedAt },
+        { $set: { progress: Math.max(0, Math.min(100, Math.round(percent))), updatedAt: new Date() } }
+      ).catch(error => log.error('Error recording job progress:', error));
+
+      const result = await handler(job, { progress });
+      await stopRenewing();
+      await finish(job, { status: 'succeeded', progress: 100, result, lastError: null, finishedAt: new Date() });
+    } catch (error) {
+      await stopRenewing();
+      const retry = !(error instanceof PermanentJobError) && isRetryable(error) &&
+        job.attempts < job.maxAttempts;
+      const failure = { message: error.message, details: error.details || error.errors };
+
+      if (retry) {
+        log.error(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}, retrying:`, error.message);
+        await Job.updateOne(
+          { _id: job._id, lockedAt: job.lockedAt },
+          {
+            $set: {
+              status: 'queued',
+              lockedAt: null,
+              lastError: failure,
+              runAt: new Date(Date.now() + backoffDelay(job.attempts, config)),
+              updatedAt: new Date()
+            }
+          }
+        );
+      } else {
+        log.error(`Job ${job._id} (${job.type}) failed:`, error);
+        await finish(job, { status: 'failed', lastError: failure, finishedAt: new Date() });
+      }
+    }
+  };
+
+  // Fill free slots with claimable jobs, then check again after pollInterval
+  const tick = async () => {
+    timer = null;
+    if (stopped) return;
+    // One claiming loop at a time, or both could pass the concurrency check
+    if (ticking) {
+      rerun = true;
+      return;
+    }
+    ticking = true;
+
+    try {
+      while (running < config.concurrency) {
+        const job = await claim();
+        if (!job) break;
+
+        running++;
+        run(job)
+          .catch(error => log.error('Error finishing job:', error))
+          .finally(() => {
+            running--;
+            poke();
+          });
+      }
+    } catch (error) {
+      log.error('Error claiming job:', error);
+    } finally {
+      ticking = false;
+    }
+
+    if (rerun) {
+      rerun = false;
+      poke();
+    } else if (!stopped && !timer) {
+      timer = setTimeout(tick, config.pollInterval);
+    }
+  };
+
+  // Look for work now rather than at the next poll
+  const poke = () => {
+    if (stopped) return;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(tick, 0);
+  };
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      poke();
+    },
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+    poke
+  };
+};
+
+module.exports = { createWorker, backoffDelay, requestHash, PermanentJobError };
@@ -0,0 +1,74 @@
+// jobs/index.test.js
+const { createWorker, backoffDelay } = require('.');
+
+// Just enough of the Job model for one job: claim hands it out once, and
+// updates only apply while the caller still holds the current lock
+const fakeJobModel = (doc) => {
+  let claimed = false;
+  const updates = [];
+  return {
+    doc,
+    updates,
+    async findOneAndUpdate() {
+      if (claimed) return null;
+      claimed = true;
+      Object.assign(doc, { status: 'running', lockedAt: new Date(), attempts: doc.attempts + 1 });
+      return { ...doc };
+    },
+    async updateOne(filter, { $set }) {
+      const held = filter.lockedAt === undefined ||
+        (doc.lockedAt && filter.lockedAt && doc.lockedAt.getTime() === filter.lockedAt.getTime());
+      if (!held) return { modifiedCount: 0 };
+      updates.push($set);
+      Object.assign(doc, $set);
+      return { modifiedCount: 1 };
+    }
+  };
+};
+
+const config = {
+  pollInterval: 1000,
+  concurrency: 1,
+  maxAttempts: 3,
+  backoffBase: 10,
+  backoffMax: 100,
+  lockTimeout: 100,
+  heartbeatInterval: 20,
+  retention: 1000
+};
+
+const log = { error: jest.fn() };
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 100 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test('renews the lock of a long job and still finishes it', async () => {
+  const Job = fakeJobModel({ _id: 'job-1', type: 'slow', attempts: 0, maxAttempts: 3 });
+  const handlers = {
+    slow: async (job, { progress }) => {
+      await new Promise(resolve => setTimeout(resolve, 150));
+      await progress(50);
+      return { done: true };
+    }
+  };
+
+  const worker = createWorker({ Job, handlers, config, log });
+  worker.start();
+  await waitFor(() => Job.doc.status === 'succeeded');
+  worker.stop();
+
+  const renewals = Job.updates.filter(u => Object.keys(u).length === 1 && u.lockedAt);
+  expect(renewals.length).toBeGreaterThanOrEqual(2);
+  expect(Job.updates.some(u => u.progress === 50)).toBe(true);
+  expect(Job.doc).toMatchObject({ status: 'succeeded', result: { done: true }, lockedAt: null });
+});
+
+test('backoffDelay grows exponentially up to the maximum', () => {
+  const settings = { backoffBase: 1000, backoffMax: 5000 };
+  expect(backoffDelay(1, settings, () => 1)).toBe(1000);
+  expect(backoffDelay(3, settings, () => 1)).toBe(4000);
+  expect(backoffDelay(10, settings, () => 0)).toBe(2500);
+});
@@ -0,0 +1,49 @@
+// languages/index.js
+// Languages paths and quizzes can be generated in, keyed by their ISO 639-1
+// code. Names are in English because they go into English prompts.
+
+const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  de: 'German',
+  fr: 'French',
+  it: 'Italian',
+  pt: 'Portuguese',
+  ja: 'Japanese',
+  zh: 'Chinese',
+  ko: 'Korean'
+};
+
+const CODES = Object.keys(LANGUAGES);
+
+// Options shown for true/false questions, which the model doesn't write
+const TRUE_FALSE = {
+  en: ['True', 'False'],
+  es: ['Verdadero', 'Falso'],
+  de: ['Wahr', 'Falsch'],
+  fr: ['Vrai', 'Faux'],
+  it: ['Vero', 'Falso'],
+  pt: ['Verdadeiro', 'Falso'],
+  ja: ['正しい', '誤り'],
+  zh: ['正确', '错误'],
+  ko: ['참', '거짓']
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Accept a code or a locale tag ('es', 'es-MX', 'pt_BR'); null if unsupported
+const normalize = (value) => {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[code] ? code : null;
+};
+
+const nameOf = (code) => LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+
+// Prompt line asking for every learner-facing string in the language
+const instruction = (code) =>
+  `Write all text in ${nameOf(code)}, even if the topic or source material is in another language.`;
+
+const trueFalseOptions = (code) => [...(TRUE_FALSE[code] || TRUE_FALSE[DEFAULT_LANGUAGE])];
+
+module.exports = { LANGUAGES, CODES, DEFAULT_LANGUAGE, normalize, nameOf, instruction, trueFalseOptions };
@@ -0,0 +1,33 @@
+// mailer/index.js
+// Sends mail through SMTP_URL when it is set. Without a mail server the
+// message is logged instead, which is enough to copy verification and
+// reset links during local development.
+
+let transport = null;
+
+const getTransport = () => {
+  if (!process.env.SMTP_URL) return null;
+  if (!transport) {
+    const nodemailer = require('nodemailer');
+    transport = nodemailer.createTransport(process.env.SMTP_URL);
+  }
+  return transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const smtp = getTransport();
+
+  if (!smtp) {
+    console.log(`📧 [mail to ${to}] ${subject}\n${text}`);
+    return;
+  }
+
+  await smtp.sendMail({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = { sendMail };
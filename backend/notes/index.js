@@ -0,0 +1,61 @@
+// notes/index.js
+// Highlight anchors for learner notes. An anchor is a character range in a
+// lesson's content plus the quoted text and a little context either side,
+// so the range can be found again after the lesson is edited.
+
+const CONTEXT_CHARS = 32;
+const NOTE_MAX_LENGTH = 10000;
+
+// Anchor for content[start, end), or null if the range is not usable
+const makeAnchor = (content, start, end) => {
+  if (!Number.isInteger(start) || !Number.isInteger(end) ||
+      start < 0 || end <= start || end > content.length) {
+    return null;
+  }
+  return {
+    start,
+    end,
+    quote: content.slice(start, end),
+    prefix: content.slice(Math.max(0, start - CONTEXT_CHARS), start),
+    suffix: content.slice(end, end + CONTEXT_CHARS)
+  };
+};
+
+const commonPrefixLength = (a, b) => {
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return n;
+};
+
+const commonSuffixLength = (a, b) => {
+  let n = 0;
+  while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+  return n;
+};
+
+// Find the anchor's quote in edited content. With several occurrences the
+// one whose surrounding text best matches the saved context wins, then the
+// one nearest the old position. Returns the new anchor, or null when the
+// quoted text is gone and the note is orphaned.
+const reanchor = (content, anchor) => {
+  if (!anchor || !anchor.quote || typeof content !== 'string') return null;
+
+  if (content.slice(anchor.start, anchor.end) === anchor.quote) {
+    return makeAnchor(content, anchor.start, anchor.end);
+  }
+
+  let best = null;
+  for (let idx = content.indexOf(anchor.quote); idx !== -1; idx = content.indexOf(anchor.quote, idx + 1)) {
+    const before = content.slice(Math.max(0, idx - CONTEXT_CHARS), idx);
+    const after = content.slice(idx + anchor.quote.length, idx + anchor.quote.length + CONTEXT_CHARS);
+    const context = commonSuffixLength(before, anchor.prefix || '') + commonPrefixLength(after, anchor.suffix || '');
+    const distance = Math.abs(idx - anchor.start);
+    if (!best || context > best.context || (context === best.context && distance < best.distance)) {
+      best = { idx, context, distance };
+    }
+  }
+
+  return best ? makeAnchor(content, best.idx, best.idx + anchor.quote.length) : null;
+};
+
+module.exports = { CONTEXT_CHARS, NOTE_MAX_LENGTH, makeAnchor, reanchor };
@@ -0,0 +1,46 @@
+// providers/anthropic.js
+const Anthropic = require('@anthropic-ai/sdk');
+
+// Only the fields the API accepts; feature, input, userId etc. stay local
+const buildParams = ({ model, maxTokens, temperature, system, messages }) => ({
+  model,
+  max_tokens: maxTokens,
+  ...(temperature !== undefined && { temperature }),
+  ...(system && { system }),
+  messages
+});
+
+const toResult = (message) => ({
+  text: message.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join(''),
+  model: message.model,
+  usage: {
+    inputTokens: message.usage.input_tokens,
+    outputTokens: message.usage.output_tokens
+  }
+});
+
+const createAnthropicProvider = (options = {}) => {
+  const client = new Anthropic({
+    apiKey: options.apiKey || process.env.ANTHROPIC_API_KEY,
+  });
+
+  return {
+    name: 'anthropic',
+
+    async complete(request) {
+      const message = await client.messages.create(buildParams(request));
+      return toResult(message);
+    },
+
+    async stream(request, onText) {
+      const stream = client.messages.stream(buildParams(request));
+      stream.on('text', onText);
+      return toResult(await stream.finalMessage());
+    }
+  };
+};
+
+module.exports = createAnthropicProvider;
@@ -0,0 +1,121 @@
+// providers/index.js
+// Entry point for every model call. Routes name a feature ('paths',
+// 'quizzes', ...) and the provider, model and limits come from config/llm.js.
+const llmConfig = require('../config/llm');
+const { parseAndValidate } = require('../validators');
+const createAnthropicProvider = require('./anthropic');
+const createStubProvider = require('./stub');
+
+const factories = {
+  anthropic: createAnthropicProvider,
+  stub: createStubProvider
+};
+
+const instances = {};
+const usageListeners = [];
+
+// Register fn({ userId, feature, provider, model, inputTokens, outputTokens })
+// to be called after every model call, e.g. to record token usage.
+// Requests carry the user in request.userId.
+const onUsage = (fn) => {
+  usageListeners.push(fn);
+};
+
+const reportUsage = (provider, request, result) => {
+  const event = {
+    userId: request.userId,
+    feature: request.feature,
+    provider: provider.name,
+    model: result.model || request.model,
+    inputTokens: result.usage ? result.usage.inputTokens : 0,
+    outputTokens: result.usage ? result.usage.outputTokens : 0
+  };
+  usageListeners.forEach(fn => {
+    Promise.resolve()
+      .then(() => fn(event))
+      .catch(error => console.error('Error recording model usage:', error));
+  });
+  return result;
+};
+
+const getProvider = (name) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+  return instances[name];
+};
+
+const prepare = (feature, request) => {
+  const settings = llmConfig.forFeature(feature);
+  return {
+    provider: getProvider(settings.provider),
+    request: {
+      feature,
+      model: settings.model,
+      maxTokens: settings.maxTokens,
+      temperature: settings.temperature,
+      ...request
+    }
+  };
+};
+
+// Resolves to { text, model, usage: { inputTokens, outputTokens } }
+const complete = async (feature, request) => {
+  const { provider, request: prepared } = prepare(feature, request);
+  return reportUsage(provider, prepared, await provider.complete(prepared));
+};
+
+// Same as complete(), calling onText with each chunk of text as it arrives
+const stream = async (feature, request, onText) => {
+  const { provider, request: prepared } = prepare(feature, request);
+  return reportUsage(provider, prepared, await provider.stream(prepared, onText));
+};
+
+// Thrown when the model still returns unusable output after every retry.
+// status is picked up by the route handlers and the global error handler.
+class ModelOutputError extends Error {
+  constructor(feature, errors) {
+    super(`Model returned invalid output for ${feature}`);
+    this.name = 'ModelOutputError';
+    this.status = 502;
+    this.errors = errors;
+  }
+}
+
+// Like complete(), but parses the reply as JSON and checks it with validate.
+// Invalid replies are sent back to the model along with the problems found,
+// up to maxAttempts calls in total. Resolves to { value, results }.
+const completeJson = async (feature, request, validate) => {
+  const { maxAttempts } = llmConfig.forFeature(feature);
+  const messages = [...request.messages];
+  const results = [];
+  let errors = [];
+
+  for (let attempt = 1; attempt <= Math.max(1, maxAttempts); attempt++) {
+    const result = await complete(feature, { ...request, messages });
+    results.push(result);
+
+    const checked = parseAndValidate(result.text, validate);
+    if (!checked.errors.length) {
+      return { value: checked.value, results };
+    }
+
+    errors = checked.errors;
+    console.warn(`Invalid ${feature} output (attempt ${attempt}):`, errors);
+    messages.push(
+      { role: 'assistant', content: result.text },
+      {
+        role: 'user',
+        content: `Your response could not be used:\n- ${errors.join('\n- ')}\n\n` +
+          'Reply again with only the corrected JSON, following the original format exactly.'
+      }
+    );
+  }
+
+  throw new ModelOutputError(feature, errors);
+};
+
+module.exports = { complete, completeJson, stream, getProvider, onUsage, ModelOutputError };
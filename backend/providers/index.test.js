@@ -0,0 +1,55 @@
+// providers/index.test.js
+// completeJson against the stub provider. A fixture in __fixtures__ stands in
+// for a model that keeps returning the same invalid reply.
+const path = require('path');
+const { validateLearningPath } = require('../validators');
+
+// A fresh copy of the module per test, since providers are cached
+const loadProviders = (env) => {
+  let providers;
+  jest.isolateModules(() => {
+    Object.assign(process.env, { LLM_PROVIDER: 'stub', ...env });
+    providers = require('.');
+  });
+  return providers;
+};
+
+const request = { userId: 'user-1', input: { topic: 'Git' }, messages: [{ role: 'user', content: 'Teach me Git' }] };
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete process.env.LLM_PROVIDER;
+  delete process.env.LLM_STUB_FIXTURES;
+  delete process.env.LLM_PATHS_MAX_ATTEMPTS;
+  jest.restoreAllMocks();
+});
+
+test('returns the validated value of a good reply', async () => {
+  const llm = loadProviders({});
+  const { value, results } = await llm.completeJson('paths', request, validateLearningPath);
+
+  expect(value.title).toBe('Learning Git');
+  expect(value.lessons.length).toBeGreaterThanOrEqual(4);
+  expect(results).toHaveLength(1);
+});
+
+test('retries an invalid reply up to maxAttempts, then throws ModelOutputError', async () => {
+  const llm = loadProviders({
+    LLM_STUB_FIXTURES: path.join(__dirname, '__fixtures__'),
+    LLM_PATHS_MAX_ATTEMPTS: '2'
+  });
+  const usage = [];
+  llm.onUsage(event => usage.push(event));
+
+  const error = await llm.completeJson('paths', request, validateLearningPath).catch(e => e);
+
+  expect(error).toBeInstanceOf(llm.ModelOutputError);
+  expect(error.status).toBe(502);
+  expect(error.errors).toEqual(['"lessons" must contain 4-6 lessons, got 1']);
+  await new Promise(resolve => setImmediate(resolve));
+  expect(usage).toHaveLength(2);
+  expect(usage[0]).toMatchObject({ userId: 'user-1', feature: 'paths', provider: 'stub' });
+});
@@ -0,0 +1,196 @@
+// providers/stub.js
+// Offline stand-in for the live model. Replies are built from the request
+// input and LLM_STUB_SEED, so the same request always gets the same reply.
+// Set LLM_STUB_FIXTURES to a directory of <feature>.json files to return
+// canned responses verbatim instead.
+const fs = require('fs');
+const path = require('path');
+
+// FNV-1a, good enough to pick deterministic variations
+const hash = (value) => {
+  let h = 0x811c9dc5;
+  for (const char of String(value)) {
+    h ^= char.charCodeAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+};
+
+const handlers = {
+  // With chunkIds (passages from an upload) each lesson cites one of them
+  paths: ({ topic = 'the topic', chunkIds }, seed) => {
+    const stages = ['Foundations', 'Core Concepts', 'Working With', 'Patterns in', 'Applying', 'Mastering'];
+    const count = 4 + (hash(seed + topic) % 3);
+
+    return {
+      title: `Learning ${topic}`,
+      description: `A step-by-step introduction to ${topic}.`,
+      lessons: stages.slice(0, count).map((stage, idx) => ({
+        title: `${stage} ${topic}`,
+        content: `Lesson ${idx + 1} covers ${stage.toLowerCase()} ${topic}.\n\n` +
+          `It builds on the previous lesson and introduces the ideas needed for the next one.`,
+        ...(chunkIds ? { sources: [chunkIds[idx % chunkIds.length]] } : {})
+      }))
+    };
+  },
+
+  // Repeat attempts get different questions, as the live prompt asks for.
+  // With several types requested they are used in turn.
+  quizzes: ({ lessonTitle = 'this lesson', attempt = 1, types = ['single'] }, seed) => ({
+    questions: [1, 2, 3, 4, 5].map(n => {
+      const type = types[(n - 1) % types.length];
+      const pick = hash(`${seed}${lessonTitle}${attempt}${n}`);
+      const question = `Question ${n} about ${lessonTitle}${attempt > 1 ? ` (attempt ${attempt})` : ''}?`;
+      const explanation = `Explanation for question ${n}.`;
+
+      switch (type) {
+        case 'multiple':
+          return {
+            type,
+            question,
+            options: [0, 1, 2, 3, 4].map(i => `Option ${n}.${i}`),
+            correctAnswers: [pick % 5, (pick + 2) % 5].sort((a, b) => a - b),
+            explanation
+          };
+        case 'true_false':
+          return { type, question, correct: pick % 2, explanation };
+        case 'ordering':
+          return { type, question, items: ['First', 'Second', 'Third', 'Fourth'].map(s => `${s} step ${n}`), explanation };
+        case 'short_answer':
+          return {
+            type,
+            question,
+            rubric: `Mentions the key idea of ${lessonTitle}.`,
+            sampleAnswer: `The key idea of ${lessonTitle}.`,
+            explanation
+          };
+        default: {
+          const correct = pick % 4;
+          return {
+            question,
+            options: [0, 1, 2, 3].map(i => (i === correct ? `Correct answer ${n}` : `Distractor ${n}.${i}`)),
+            correct,
+            explanation
+          };
+        }
+      }
+    })
+  }),
+
+  // Credit is the share of sample-answer words found in the answer
+  grading: ({ answers = [] }) => ({
+    grades: answers.map(({ id, sampleAnswer = '', answer = '' }) => {
+      const expected = sampleAnswer.toLowerCase().match(/\w+/g) || [];
+      const given = new Set(answer.toLowerCase().match(/\w+/g) || []);
+      const overlap = expected.length ? expected.filter(w => given.has(w)).length / expected.length : 0;
+      const credit = Math.round(overlap * 4) / 4;
+      return { id, credit, feedback: credit === 1 ? 'Complete answer.' : 'Compare your answer with the sample answer.' };
+    })
+  }),
+
+  // Plain-text reply grounded in the lesson title
+  tutor: ({ lessonTitle = 'this lesson', question = '' }) =>
+    `Good question about ${lessonTitle}.\n` +
+    `You asked: "${question.slice(0, 200)}". Let's go back to the lesson and work through it step by step.`,
+
+  lessons: ({ topic = 'a new topic', pathTitle = 'this path' }) => ({
+    title: topic,
+    content: `This lesson adds ${topic} to ${pathTitle}.\n\n` +
+      `It explains the key ideas of ${topic} and how they connect to the rest of the path.`
+  }),
+
+  // One follow-up per completed path (or a starter topic), each requiring it
+  recommendations: ({ completed = [], weakAreas = [] }) => ({
+    recommendations: (completed.length ? completed : [{ title: 'Study Skills', index: null }])
+      .slice(0, 3)
+      .map(path => ({
+        topic: `Advanced ${path.title}`,
+        reason: weakAreas.length
+          ? `Builds on ${path.title} and revisits ${weakAreas[0]}.`
+          : `A natural next step after ${path.title}.`,
+        prerequisites: path.index ? [path.index] : []
+      }))
+  }),
+
+  // Echoes the source with each string tagged by the target language
+  translation: ({ language = 'xx', source = {} }) => {
+    const tag = (value) => {
+      if (typeof value === 'string') return value ? `[${language}] ${value}` : value;
+      if (Array.isArray(value)) return value.map(tag);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, tag(v)]));
+      }
+      return value;
+    };
+    return tag(source);
+  },
+
+  remediation: ({ lessonTitle = 'this lesson', missed = [] }) => ({
+    title: `Review: ${lessonTitle}`,
+    content: `This review revisits ${missed.length} question(s) from ${lessonTitle}.\n\n` +
+      missed.map(q => `Revisit: ${q}`).join('\n')
+  })
+};
+
+const readFixture = (dir, feature) => {
+  if (!dir) return null;
+  const file = path.join(dir, `${feature}.json`);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+};
+
+// Streaming path prompts ask for one JSON object per line
+const toText = (payload, request) => {
+  if (typeof payload === 'string') return payload;
+  if (request.format === 'ndjson' && Array.isArray(payload.lessons)) {
+    const { lessons, ...header } = payload;
+    return [header, ...lessons].map(item => JSON.stringify(item)).join('\n');
+  }
+  return JSON.stringify(payload);
+};
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const createStubProvider = (options = {}) => {
+  const seed = options.seed ?? process.env.LLM_STUB_SEED ?? '';
+  const fixtures = options.fixtures ?? process.env.LLM_STUB_FIXTURES;
+
+  const respond = (request) => {
+    const handler = handlers[request.feature];
+    let text = readFixture(fixtures, request.feature);
+
+    if (text === null) {
+      if (!handler) {
+        throw new Error(`Stub provider has no response for feature: ${request.feature}`);
+      }
+      text = toText(handler(request.input || {}, seed), request);
+    }
+
+    const prompt = request.messages.map(m => m.content).join('\n');
+    return {
+      text,
+      model: `stub:${request.model}`,
+      usage: {
+        inputTokens: estimateTokens(prompt),
+        outputTokens: estimateTokens(text)
+      }
+    };
+  };
+
+  return {
+    name: 'stub',
+
+    async complete(request) {
+      return respond(request);
+    },
+
+    async stream(request, onText) {
+      const result = respond(request);
+      result.text.split(/(?<=\n)/).forEach(chunk => onText(chunk));
+      return result;
+    }
+  };
+};
+
+createStubProvider.handlers = handlers;
+
+module.exports = createStubProvider;
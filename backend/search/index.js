@@ -0,0 +1,66 @@
+// search/index.js
+// Helpers for turning MongoDB $text hits into ranked, highlighted results.
+// $text finds the matching documents; these functions work out which field
+// or lesson matched and build a snippet around the first match.
+
+const SNIPPET_RADIUS = 80;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Rough stemming so "running" still highlights "run" like $text matches it
+const stem = (term) => {
+  const suffix = ['ing', 'ed', 's'].find(s => term.length - s.length >= 3 && term.endsWith(s));
+  if (!suffix) return term;
+  const base = term.slice(0, -suffix.length);
+  // running -> runn -> run
+  return suffix !== 's' && /([^aeiou])\1$/.test(base) ? base.slice(0, -1) : base;
+};
+
+// Positive terms from a $text query (quotes stripped, -negations dropped)
+const parseTerms = (query) => {
+  const terms = String(query)
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => stem(term.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '')))
+    .filter(term => term.length > 1);
+  return [...new Set(terms)];
+};
+
+const termPattern = (terms) => new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+// How many distinct terms appear in the text, 0 if none
+const matchCount = (text, terms) => {
+  if (!text || !terms.length) return 0;
+  const found = new Set();
+  for (const match of String(text).matchAll(termPattern(terms))) {
+    found.add(stem(match[1].toLowerCase()));
+  }
+  return found.size;
+};
+
+// A window of text around the first match, HTML-escaped with <mark> tags
+const highlight = (text, terms, radius = SNIPPET_RADIUS) => {
+  const source = String(text || '');
+  const pattern = termPattern(terms);
+  const first = pattern.exec(source);
+  const center = first ? first.index : 0;
+
+  const start = Math.max(0, center - radius);
+  const end = Math.min(source.length, center + radius * 2);
+  const excerpt = source.slice(start, end).replace(/\s+/g, ' ');
+
+  const marked = escapeHtml(excerpt).replace(
+    termPattern(terms.map(escapeHtml)),
+    match => `<mark>${match}</mark>`
+  );
+  return `${start > 0 ? '…' : ''}${marked}${end < source.length ? '…' : ''}`;
+};
+
+module.exports = { parseTerms, matchCount, highlight };
@@ -0,0 +1,176 @@
+// server.test.js
+// Routes that need a database, against a throwaway MongoDB (mongodb-memory-server)
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const auth = require('./auth');
+
+jest.setTimeout(60000);
+
+const PASSWORD = 'correct horse battery staple';
+
+let mongod;
+let server;
+
+beforeAll(async () => {
+  mongod = await MongoMemoryServer.create();
+  Object.assign(process.env, {
+    MONGODB_URI: mongod.getUri('nebula-test'),
+    SESSION_SECRET: 'test',
+    GOOGLE_CLIENT_ID: 'test',
+    GOOGLE_CLIENT_SECRET: 'test',
+    LLM_PROVIDER: 'stub'
+  });
+  server = require('./server');
+  await mongoose.connection.asPromise();
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+});
+
+afterAll(async () => {
+  if (server) {
+    await server.sessionStore.close();
+    await mongoose.disconnect();
+  }
+  if (mongod) await mongod.stop();
+});
+
+const signUp = async (email) => {
+  const user = await mongoose.model('User').create({
+    email,
+    name: 'Test Learner',
+    passwordHash: await auth.hashPassword(PASSWORD),
+    emailVerified: true
+  });
+  const agent = request.agent(server.app);
+  await agent.post('/api/auth/login').send({ email, password: PASSWORD }).expect(200);
+  return { user, agent };
+};
+
+const freshValue = (type) => {
+  if (type.instance === 'ObjectId') return new mongoose.Types.ObjectId();
+  if (type.instance === 'Number') return crypto.randomInt(1e9);
+  return crypto.randomBytes(8).toString('hex');
+};
+
+// Fields in unique indexes get fresh values so bare documents don't collide
+const uniqueValues = (schema) => Object.fromEntries(schema.indexes()
+  .filter(([, options]) => options.unique && !options.partialFilterExpression)
+  .flatMap(([keys]) => Object.keys(keys))
+  .map(field => [field, freshValue(schema.path(field))]));
+
+// One bare document per User reference listed in ACCOUNT_DATA, written with
+// the driver so required fields the cascade doesn't care about can be left out
+const seed = (userId) => Promise.all(server.ACCOUNT_DATA.flatMap(entry => entry.fields.map(field => {
+  const [head, tail] = field.split('.');
+  return entry.model.collection.insertOne({
+    ...uniqueValues(entry.model.schema),
+    [head]: tail ? [{ [tail]: userId }] : userId
+  });
+})));
+
+const countAccountData = async (userId) => {
+  const counts = {};
+  for (const entry of server.ACCOUNT_DATA) {
+    counts[entry.key] = await entry.model.countDocuments(entry.filter(userId));
+  }
+  return counts;
+};
+
+const sessions = () => mongoose.connection.db.collection(server.SESSION_COLLECTION);
+
+// Stored the way connect-mongo stores them
+const insertSession = (id, userId) => sessions().insertOne({
+  _id: id,
+  expires: new Date(Date.now() + 60 * 60 * 1000),
+  session: JSON.stringify({ cookie: { httpOnly: true }, passport: { user: String(userId) } })
+});
+
+describe('DELETE /api/account', () => {
+  test('erases every collection and session of the user, and nothing of anyone else', async () => {
+    const { user, agent } = await signUp('leaving@example.com');
+    const { user: other } = await signUp('staying@example.com');
+    await seed(user._id);
+    await seed(other._id);
+    await insertSession('other-device', user._id);
+
+    const before = await countAccountData(user._id);
+    // Every collection was seeded, so the check below can't pass vacuously
+    expect(Object.keys(before).filter(key => before[key] === 0)).toEqual([]);
+    const otherBefore = await countAccountData(other._id);
+
+    const res = await agent.delete('/api/account')
+      .send({ confirm: 'DELETE', password: PASSWORD })
+      .expect(200);
+    expect(res.body.counts.sessions).toBe(2);
+
+    const after = await countAccountData(user._id);
+    expect(after).toEqual(Object.fromEntries(Object.keys(before).map(key => [key, 0])));
+    expect(await sessions().countDocuments({ session: { $regex: String(user._id) } })).toBe(0);
+    expect(await mongoose.model('User').exists({ _id: user._id })).toBeNull();
+    expect(await mongoose.model('AccountDeletion').countDocuments({ _id: res.body.deletionId })).toBe(1);
+
+    expect(await countAccountData(other._id)).toEqual(otherBefore);
+    expect(await sessions().countDocuments({ session: { $regex: String(other._id) } })).toBe(1);
+  });
+
+  test('requires the password', async () => {
+    const { user, agent } = await signUp('careful@example.com');
+    await agent.delete('/api/account').send({ confirm: 'DELETE', password: 'wrong' }).expect(401);
+    expect(await mongoose.model('User').exists({ _id: user._id })).not.toBeNull();
+  });
+});
+
+describe('forActiveAccount', () => {
+  test('erases what a job saved while the account was being deleted', async () => {
+    const LearningPath = mongoose.model('LearningPath');
+    const { user, agent } = await signUp('racing@example.com');
+
+    const handler = server.forActiveAccount(async (job) => {
+      // The account is deleted while the model is still writing the path
+      await agent.delete('/api/account').send({ confirm: 'DELETE', password: PASSWORD }).expect(200);
+      await LearningPath.create({ userId: job.userId, title: 'Finished too late' });
+    });
+
+    await expect(handler({ userId: user._id }, {})).rejects.toThrow('Account was deleted');
+    expect(await LearningPath.countDocuments({ userId: user._id })).toBe(0);
+  });
+
+  test('does not start jobs for a deleted account', async () => {
+    const { user, agent } = await signUp('gone@example.com');
+    await agent.delete('/api/account').send({ confirm: 'DELETE', password: PASSWORD }).expect(200);
+
+    const work = jest.fn();
+    await expect(server.forActiveAccount(work)({ userId: user._id }, {})).rejects.toThrow('Account was deleted');
+    expect(work).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/quizzes/submit', () => {
+  test('refuses a quiz on a lesson that has been locked since it was generated', async () => {
+    const { user, agent } = await signUp('ahead@example.com');
+    const path = await mongoose.model('LearningPath').create({
+      userId: user._id,
+      title: 'Learning Git',
+      lockProgression: true,
+      lessons: [
+        { id: 1, title: 'Commits', content: 'Recording changes.' },
+        { id: 2, title: 'Branches', content: 'Parallel work.' }
+      ]
+    });
+    const quiz = await mongoose.model('Quiz').create({
+      userId: user._id,
+      pathId: path._id,
+      lessonId: 2,
+      questions: [{ id: 1, question: 'What is a branch?', options: ['A line of work', 'A commit', 'A remote', 'A tag'], correct: 0 }]
+    });
+
+    await agent.post('/api/quizzes/submit')
+      .send({ quizId: quiz._id, answers: [0] })
+      .expect(403);
+
+    const after = await mongoose.model('LearningPath').findById(path._id);
+    expect(after.lessons[1].completed).toBe(false);
+    expect((await mongoose.model('Quiz').findById(quiz._id)).submittedAt).toBeUndefined();
+  });
+});
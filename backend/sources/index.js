@@ -0,0 +1,178 @@
+// sources/index.js
+// Turns uploaded documents (Markdown, plain text, HTML, PDF) into plain text
+// and numbered chunks that generated lessons and quizzes can cite.
+const crypto = require('crypto');
+
+const FORMATS = ['markdown', 'text', 'html', 'pdf'];
+
+const CONTENT_TYPES = {
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/plain': 'text',
+  'text/html': 'html',
+  'application/pdf': 'pdf'
+};
+
+const EXTENSIONS = {
+  md: 'markdown',
+  markdown: 'markdown',
+  txt: 'text',
+  text: 'text',
+  htm: 'html',
+  html: 'html',
+  pdf: 'pdf'
+};
+
+// Chunk and prompt sizes in characters (roughly 4 per token)
+const CHUNK_MAX_CHARS = 1200;
+const PROMPT_MAX_CHARS = 48000;
+
+// Bad uploads: unknown format, unreadable file, no text in it
+class SourceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SourceError';
+    this.status = status;
+  }
+}
+
+// An explicit format wins, then the Content-Type, then the file extension
+const detectFormat = ({ format, contentType, filename }) => {
+  if (format) return FORMATS.includes(format) ? format : null;
+
+  const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (CONTENT_TYPES[mime]) return CONTENT_TYPES[mime];
+
+  const extension = (filename || '').split('.').pop().toLowerCase();
+  return EXTENSIONS[extension] || null;
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[name.toLowerCase()] || match;
+});
+
+// Good enough for articles and docs pages: keeps block structure as blank
+// lines and drops markup, scripts and styles
+const htmlToText = (html) => decodeEntities(html
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<li\b[^>]*>/gi, '\n- ')
+  .replace(/<\/?(p|div|section|article|header|footer|h[1-6]|ul|ol|table|tr|blockquote|pre)\b[^>]*>/gi, '\n\n')
+  .replace(/<[^>]+>/g, ''));
+
+// Collapse whitespace noise so offsets into the text are stable
+const normalizeText = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t\f\v]+$/gm, '')
+  .replace(/[ \t]{2,}/g, ' ')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// data is a Buffer (or a string for the text formats)
+const extractText = async (format, data) => {
+  let text;
+  if (format === 'pdf') {
+    if (!Buffer.isBuffer(data)) {
+      throw new SourceError('PDF uploads must be sent as binary or base64');
+    }
+    // The package entry point runs a self-test when loaded; the lib file doesn't
+    const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+    try {
+      text = (await pdfParse(data)).text;
+    } catch (error) {
+      throw new SourceError(`Could not read PDF: ${error.message}`);
+    }
+  } else if (FORMATS.includes(format)) {
+    const raw = Buffer.isBuffer(data) ? data.toString('utf8') : String(data);
+    text = format === 'html' ? htmlToText(raw) : raw;
+  } else {
+    throw new SourceError(`Unsupported format. Use one of: ${FORMATS.join(', ')}`, 415);
+  }
+
+  text = normalizeText(text || '');
+  if (!text) {
+    throw new SourceError('No text could be extracted from the upload');
+  }
+  return text;
+};
+
+// Split long paragraphs at sentence ends, or hard-split if there are none
+const splitLong = (start, end, text, maxChars) => {
+  const pieces = [];
+  while (end - start > maxChars) {
+    const window = text.slice(start, start + maxChars);
+    const cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'));
+    const stop = cut > maxChars / 2 ? start + cut + 1 : start + maxChars;
+    pieces.push({ start, end: stop });
+    start = stop;
+    while (start < end && /\s/.test(text[start])) start++;
+  }
+  if (end > start) pieces.push({ start, end });
+  return pieces;
+};
+
+// Group paragraphs into chunks of at most maxChars, starting a new chunk at
+// Markdown headings. Returns [{ id, start, end }] offsets into text; ids
+// count from 1 and are what lessons cite.
+const chunkText = (text, { maxChars = CHUNK_MAX_CHARS } = {}) => {
+  const paragraphs = [];
+  const pattern = /[^\n]+(?:\n[^\n]+)*/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    paragraphs.push(...splitLong(match.index, match.index + match[0].length, text, maxChars));
+  }
+
+  const chunks = [];
+  let current = null;
+  for (const paragraph of paragraphs) {
+    const isHeading = text[paragraph.start] === '#';
+    const fits = current && paragraph.end - current.start <= maxChars;
+    if (current && fits && !(isHeading && current.end - current.start > maxChars / 3)) {
+      current.end = paragraph.end;
+    } else {
+      current = { id: chunks.length + 1, start: paragraph.start, end: paragraph.end };
+      chunks.push(current);
+    }
+  }
+  return chunks;
+};
+
+const chunkBody = (text, chunk) => text.slice(chunk.start, chunk.end);
+
+// Chunks to show the model, spread evenly over the document when it is too
+// long to send whole
+const selectForPrompt = (text, chunks, maxChars = PROMPT_MAX_CHARS) => {
+  const total = chunks.reduce((sum, c) => sum + c.end - c.start, 0);
+  if (total <= maxChars) return chunks;
+
+  const keep = Math.max(1, Math.floor(chunks.length * maxChars / total));
+  const step = chunks.length / keep;
+  return Array.from({ length: keep }, (_, i) => chunks[Math.floor(i * step)]);
+};
+
+// Numbered passages for a prompt: "[3] text of chunk 3"
+const formatPassages = (text, chunks) =>
+  chunks.map(c => `[${c.id}] ${chunkBody(text, c)}`).join('\n\n');
+
+const digest = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+module.exports = {
+  FORMATS,
+  SourceError,
+  detectFormat,
+  htmlToText,
+  normalizeText,
+  extractText,
+  chunkText,
+  chunkBody,
+  selectForPrompt,
+  formatPassages,
+  digest
+};
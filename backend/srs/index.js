@@ -0,0 +1,67 @@
+// srs/index.js
+// SM-2 spaced repetition scheduling. Quality is graded 0-5:
+// below 3 is a lapse (start over at a one-day interval), 3 and above
+// moves the item out to a longer interval scaled by its ease factor.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// Quality used when a review is graded from a right/wrong answer
+const QUALITY_CORRECT = 4;
+const QUALITY_INCORRECT = 1;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const schedule = (item, quality, now = new Date()) => {
+  const q = Math.max(0, Math.min(5, Math.round(quality)));
+  const previousEase = item.easeFactor || DEFAULT_EASE;
+  const easeFactor = Math.max(
+    MIN_EASE,
+    previousEase + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+  );
+
+  let repetitions;
+  let interval;
+  if (q < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions = (item.repetitions || 0) + 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round((item.interval || 1) * easeFactor);
+    }
+  }
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    interval,
+    repetitions,
+    dueAt: addDays(now, interval)
+  };
+};
+
+// Schedule for a question first seen in a quiz. Misses are due right away;
+// correct answers count as a first successful repetition.
+const initialSchedule = (isCorrect, now = new Date()) => {
+  if (!isCorrect) {
+    return {
+      easeFactor: schedule({}, QUALITY_INCORRECT, now).easeFactor,
+      interval: 0,
+      repetitions: 0,
+      dueAt: now
+    };
+  }
+  return schedule({}, QUALITY_CORRECT, now);
+};
+
+module.exports = {
+  schedule,
+  initialSchedule,
+  QUALITY_CORRECT,
+  QUALITY_INCORRECT
+};
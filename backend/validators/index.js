@@ -0,0 +1,363 @@
+// validators/index.js
+// Schema checks for JSON produced by the model. Each validator takes parsed
+// data and returns { value, errors }: value is a cleaned copy safe to save,
+// errors is a list of human-readable problems (empty when valid). The error
+// text is fed back to the model on retry, so keep it specific.
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Pull the first JSON object out of a model reply, tolerating code fences
+// and prose around it
+const extractJson = (text) => {
+  if (typeof text !== 'string') {
+    return { value: null, errors: ['Response was empty'] };
+  }
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return { value: null, errors: ['Response did not contain a JSON object'] };
+  }
+
+  try {
+    return { value: JSON.parse(text.slice(start, end + 1)), errors: [] };
+  } catch (error) {
+    return { value: null, errors: [`Response was not valid JSON: ${error.message}`] };
+  }
+};
+
+const toIndex = (value) => (typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+
+const validateLesson = (lesson, label, errors) => {
+  if (!lesson || typeof lesson !== 'object') {
+    errors.push(`${label} must be an object`);
+    return null;
+  }
+  if (!isNonEmptyString(lesson.title)) errors.push(`${label} is missing a "title"`);
+  if (!isNonEmptyString(lesson.content)) errors.push(`${label} is missing "content"`);
+
+  return {
+    title: String(lesson.title || '').trim(),
+    content: String(lesson.content || '').trim()
+  };
+};
+
+// Lessons written from uploaded material cite the chunks they draw on
+const validateCitations = (lesson, label, errors, sourceIds) => {
+  const sources = lesson && lesson.sources;
+  if (!Array.isArray(sources) || sources.length === 0) {
+    errors.push(`${label} must list the passages it is based on in "sources"`);
+    return [];
+  }
+  const ids = sources.map(toIndex);
+  const unknown = ids.filter(id => !sourceIds.includes(id));
+  if (unknown.length) {
+    errors.push(`${label} cites passages that were not provided: ${unknown.join(', ')}`);
+  }
+  return [...new Set(ids)];
+};
+
+// Pass sourceIds (the passage numbers shown to the model) to require every
+// lesson to cite some of them; each lesson then carries "citations"
+const validateLearningPath = (data, { minLessons = 4, maxLessons = 6, sourceIds } = {}) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['Learning path must be a JSON object'] };
+  }
+
+  if (!isNonEmptyString(data.title)) errors.push('Learning path is missing a "title"');
+  if (data.description !== undefined && typeof data.description !== 'string') {
+    errors.push('"description" must be a string');
+  }
+
+  let lessons = [];
+  if (!Array.isArray(data.lessons)) {
+    errors.push('"lessons" must be an array');
+  } else {
+    if (data.lessons.length < minLessons || data.lessons.length > maxLessons) {
+      errors.push(`"lessons" must contain ${minLessons}-${maxLessons} lessons, got ${data.lessons.length}`);
+    }
+    lessons = data.lessons.map((lesson, idx) => {
+      const label = `Lesson ${idx + 1}`;
+      const value = validateLesson(lesson, label, errors);
+      if (value && sourceIds) {
+        value.citations = validateCitations(lesson, label, errors, sourceIds);
+      }
+      return value;
+    });
+  }
+
+  return {
+    value: errors.length ? null : {
+      title: data.title.trim(),
+      description: (data.description || '').trim(),
+      lessons
+    },
+    errors
+  };
+};
+
+// A single generated lesson, e.g. remedial or instructor-requested
+const validateLessonPayload = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['Lesson must be a JSON object'] };
+  }
+
+  const value = validateLesson(data, 'Lesson', errors);
+  return { value: errors.length ? null : value, errors };
+};
+
+const validateOptions = (options, label, errors, { min, max, field = 'options' }) => {
+  const count = Array.isArray(options) ? options.length : 0;
+  if (!Array.isArray(options) || count < min || count > max) {
+    const expected = min === max ? `exactly ${min}` : `${min}-${max}`;
+    errors.push(`${label} must have ${expected} "${field}", got ${Array.isArray(options) ? count : 'none'}`);
+    return [];
+  }
+  if (!options.every(isNonEmptyString)) {
+    errors.push(`${label} has an empty entry in "${field}"`);
+  }
+  return options.map(o => String(o).trim());
+};
+
+// Checks the type-specific answer key. Accepts "2" as well as 2 for indices.
+const questionValidators = {
+  single: (question, label, errors) => {
+    const options = validateOptions(question.options, label, errors, { min: 4, max: 4 });
+    const correct = toIndex(question.correct);
+    if (!Number.isInteger(correct) || correct < 0 || correct > 3) {
+      errors.push(`${label} has "correct" ${JSON.stringify(question.correct)}; it must be an index from 0 to 3`);
+    }
+    return { options, correct };
+  },
+
+  true_false: (question, label, errors) => {
+    const correct = typeof question.correct === 'boolean'
+      ? (question.correct ? 0 : 1)
+      : toIndex(question.correct);
+    if (correct !== 0 && correct !== 1) {
+      errors.push(`${label} has "correct" ${JSON.stringify(question.correct)}; it must be 0 (True) or 1 (False)`);
+    }
+    return { options: ['True', 'False'], correct };
+  },
+
+  multiple: (question, label, errors) => {
+    const options = validateOptions(question.options, label, errors, { min: 4, max: 6 });
+    const correctAnswers = Array.isArray(question.correctAnswers)
+      ? question.correctAnswers.map(toIndex)
+      : [];
+    if (correctAnswers.length === 0 ||
+        !correctAnswers.every(i => Number.isInteger(i) && i >= 0 && i < options.length) ||
+        new Set(correctAnswers).size !== correctAnswers.length) {
+      errors.push(`${label} needs "correctAnswers": a list of distinct option indices`);
+    }
+    return { options, correctAnswers: [...correctAnswers].sort((a, b) => a - b) };
+  },
+
+  // The model lists "items" in the right order; stored questions keep
+  // shuffled "options" plus "correctOrder"
+  ordering: (question, label, errors) => {
+    if (Array.isArray(question.items)) {
+      const options = validateOptions(question.items, label, errors, { min: 3, max: 6, field: 'items' });
+      return { options, correctOrder: options.map((item, idx) => idx) };
+    }
+
+    const options = validateOptions(question.options, label, errors, { min: 3, max: 6 });
+    const correctOrder = Array.isArray(question.correctOrder) ? question.correctOrder.map(toIndex) : [];
+    if (correctOrder.length !== options.length ||
+        !correctOrder.every(i => Number.isInteger(i) && i >= 0 && i < options.length) ||
+        new Set(correctOrder).size !== correctOrder.length) {
+      errors.push(`${label} needs "items" in the correct order`);
+    }
+    return { options, correctOrder };
+  },
+
+  short_answer: (question, label, errors) => {
+    if (!isNonEmptyString(question.rubric)) errors.push(`${label} is missing a grading "rubric"`);
+    if (!isNonEmptyString(question.sampleAnswer)) errors.push(`${label} is missing a "sampleAnswer"`);
+    return {
+      rubric: String(question.rubric || '').trim(),
+      sampleAnswer: String(question.sampleAnswer || '').trim()
+    };
+  }
+};
+
+const validateQuestion = (question, label, errors, { types } = {}) => {
+  if (!question || typeof question !== 'object') {
+    errors.push(`${label} must be an object`);
+    return null;
+  }
+
+  const type = question.type || 'single';
+  const allowed = types || Object.keys(questionValidators);
+  if (!questionValidators[type] || !allowed.includes(type)) {
+    errors.push(`${label} has type ${JSON.stringify(type)}; it must be one of ${allowed.join(', ')}`);
+    return null;
+  }
+
+  if (!isNonEmptyString(question.question)) errors.push(`${label} is missing "question" text`);
+  if (question.explanation !== undefined && typeof question.explanation !== 'string') {
+    errors.push(`${label} has a non-string "explanation"`);
+  }
+
+  return {
+    type,
+    question: String(question.question || '').trim(),
+    ...questionValidators[type](question, label, errors),
+    ...(isNonEmptyString(question.explanation) && { explanation: question.explanation.trim() })
+  };
+};
+
+// types limits which question types are accepted (default: single only)
+const validateQuiz = (data, { questionCount = 5, types = ['single'], requireExplanations = false } = {}) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['Quiz must be a JSON object'] };
+  }
+
+  let questions = [];
+  if (!Array.isArray(data.questions)) {
+    errors.push('"questions" must be an array');
+  } else {
+    if (data.questions.length !== questionCount) {
+      errors.push(`"questions" must contain exactly ${questionCount} questions, got ${data.questions.length}`);
+    }
+    questions = data.questions.map((q, idx) => {
+      const label = `Question ${idx + 1}`;
+      const value = validateQuestion(q, label, errors, { types });
+      if (value && requireExplanations && !value.explanation) {
+        errors.push(`${label} is missing an "explanation"`);
+      }
+      return value;
+    });
+  }
+
+  return {
+    value: errors.length ? null : { questions },
+    errors
+  };
+};
+
+// Model grades for short answers: { grades: [{ id, credit, feedback }] }
+const validateShortAnswerGrades = (data, { ids = [] } = {}) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.grades)) {
+    return { value: null, errors: ['Response must be an object with a "grades" array'] };
+  }
+
+  const grades = ids.map(id => {
+    const grade = data.grades.find(g => g && toIndex(g.id) === id);
+    if (!grade) {
+      errors.push(`Missing a grade for answer ${id}`);
+      return null;
+    }
+    const credit = Number(grade.credit);
+    if (!(credit >= 0 && credit <= 1)) {
+      errors.push(`Answer ${id} has "credit" ${JSON.stringify(grade.credit)}; it must be a number from 0 to 1`);
+    }
+    return { id, credit, feedback: typeof grade.feedback === 'string' ? grade.feedback.trim() : '' };
+  });
+
+  return { value: errors.length ? null : { grades }, errors };
+};
+
+// Suggested next topics. prerequisites are 1-based numbers into the list of
+// the learner's paths shown in the prompt (libraryCount long).
+const validateRecommendations = (data, { libraryCount = 0, min = 1, max = 5 } = {}) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.recommendations)) {
+    return { value: null, errors: ['Response must be an object with a "recommendations" array'] };
+  }
+  if (data.recommendations.length < min || data.recommendations.length > max) {
+    errors.push(`"recommendations" must contain ${min}-${max} items, got ${data.recommendations.length}`);
+  }
+
+  const recommendations = data.recommendations.map((rec, idx) => {
+    const label = `Recommendation ${idx + 1}`;
+    if (!rec || typeof rec !== 'object') {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+    if (!isNonEmptyString(rec.topic)) errors.push(`${label} is missing a "topic"`);
+    if (!isNonEmptyString(rec.reason)) errors.push(`${label} is missing a "reason"`);
+
+    const prerequisites = (Array.isArray(rec.prerequisites) ? rec.prerequisites : []).map(toIndex);
+    const invalid = prerequisites.filter(n => !Number.isInteger(n) || n < 1 || n > libraryCount);
+    if (invalid.length) {
+      errors.push(`${label} lists prerequisites that are not in the library: ${invalid.join(', ')}`);
+    }
+
+    return {
+      topic: String(rec.topic || '').trim(),
+      reason: String(rec.reason || '').trim(),
+      prerequisites: [...new Set(prerequisites)]
+    };
+  });
+
+  return { value: errors.length ? null : { recommendations }, errors };
+};
+
+// Translations must mirror the source: the same keys and array lengths, with
+// every non-empty string translated. Numbers (ids) are copied from the source
+// rather than trusted from the reply.
+const mirrorTranslation = (value, source, label, errors) => {
+  if (typeof source === 'string') {
+    if (typeof value !== 'string' || (source.trim() && !value.trim())) {
+      errors.push(`"${label}" must be the translated text`);
+      return source;
+    }
+    return value.trim();
+  }
+  if (Array.isArray(source)) {
+    if (!Array.isArray(value) || value.length !== source.length) {
+      errors.push(`"${label}" must be an array of ${source.length} items, like the original`);
+      return source;
+    }
+    return source.map((item, idx) => mirrorTranslation(value[idx], item, `${label}[${idx}]`, errors));
+  }
+  if (source && typeof source === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`"${label}" must be an object`);
+      return source;
+    }
+    return Object.fromEntries(Object.keys(source).map(key =>
+      [key, mirrorTranslation(value[key], source[key], label ? `${label}.${key}` : key, errors)]));
+  }
+  return source;
+};
+
+const validateTranslation = (data, source) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['Translation must be a JSON object'] };
+  }
+
+  const errors = [];
+  const value = mirrorTranslation(data, source, '', errors);
+  return { value: errors.length ? null : value, errors };
+};
+
+// Parse a raw model reply and run a validator over it
+const parseAndValidate = (text, validate) => {
+  const parsed = extractJson(text);
+  if (parsed.errors.length) return parsed;
+  return validate(parsed.value);
+};
+
+module.exports = {
+  isNonEmptyString,
+  extractJson,
+  validateLearningPath,
+  validateLessonPayload,
+  validateQuiz,
+  validateQuestion,
+  validateShortAnswerGrades,
+  validateRecommendations,
+  validateTranslation,
+  parseAndValidate
+};
@@ -0,0 +1,148 @@
+// validators/index.test.js
+// Replays recorded model replies (in __fixtures__) through the validators.
+const fs = require('fs');
+const path = require('path');
+const {
+  extractJson,
+  parseAndValidate,
+  validateLearningPath,
+  validateQuiz,
+  validateShortAnswerGrades,
+  validateRecommendations,
+  validateTranslation
+} = require('.');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+
+// Errors for a recorded reply the validator must reject
+const rejectedReply = (name, validate) => {
+  const { value, errors } = parseAndValidate(fixture(name), validate);
+  expect(value).toBeNull();
+  return errors;
+};
+
+describe('extractJson', () => {
+  test('reads the JSON out of prose and code fences', () => {
+    const { value, errors } = extractJson(fixture('paths-fenced.txt'));
+    expect(errors).toEqual([]);
+    expect(value.title).toBe('Learning Git');
+  });
+
+  test('reports replies without an object', () => {
+    expect(extractJson('I cannot help with that.').errors).toEqual(['Response did not contain a JSON object']);
+    expect(extractJson(undefined).errors).toEqual(['Response was empty']);
+  });
+
+  test('reports truncated JSON', () => {
+    const { value, errors } = extractJson(fixture('paths-truncated.txt'));
+    expect(value).toBeNull();
+    expect(errors[0]).toMatch(/^Response was not valid JSON/);
+  });
+});
+
+describe('validateLearningPath', () => {
+  test('accepts and trims a valid path', () => {
+    const { value, errors } = parseAndValidate(fixture('paths-fenced.txt'), validateLearningPath);
+    expect(errors).toEqual([]);
+    expect(value.lessons).toHaveLength(4);
+    expect(value.lessons[0]).toEqual({ title: 'Why version control', content: 'Snapshots, history and collaboration.' });
+  });
+
+  test('reports too few lessons and empty content', () => {
+    expect(rejectedReply('paths-three-lessons.txt', validateLearningPath)).toEqual([
+      '"lessons" must contain 4-6 lessons, got 3',
+      'Lesson 2 is missing "content"'
+    ]);
+  });
+
+  test('requires citations from the passages shown when sourceIds is given', () => {
+    expect(rejectedReply('paths-uncited.txt', (data) => validateLearningPath(data, { sourceIds: [1, 2, 3] }))).toEqual([
+      'Lesson 2 must list the passages it is based on in "sources"',
+      'Lesson 3 cites passages that were not provided: 7'
+    ]);
+  });
+
+  test('turns sources into deduplicated citations', () => {
+    const data = JSON.parse(fixture('paths-uncited.txt'));
+    data.lessons[1].sources = [2];
+    data.lessons[2].sources = ['2', 2];
+    const { value, errors } = validateLearningPath(data, { sourceIds: [1, 2, 3] });
+    expect(errors).toEqual([]);
+    expect(value.lessons.map(l => l.citations)).toEqual([[1], [2], [2], [3]]);
+  });
+});
+
+describe('validateQuiz', () => {
+  test('reports each broken question', () => {
+    expect(rejectedReply('quiz-bad-key.txt', (data) => validateQuiz(data, { requireExplanations: true }))).toEqual([
+      'Question 2 must have exactly 4 "options", got 3',
+      'Question 3 has "correct" 4; it must be an index from 0 to 3',
+      'Question 4 is missing an "explanation"',
+      'Question 5 has type "essay"; it must be one of single'
+    ]);
+  });
+
+  test('accepts indices given as strings', () => {
+    const data = JSON.parse(fixture('quiz-bad-key.txt'));
+    data.questions = [0, 1, 2, 3, 4].map(() => ({ ...data.questions[3], explanation: 'The index.' }));
+    const { value, errors } = validateQuiz(data, { requireExplanations: true });
+    expect(errors).toEqual([]);
+    expect(value.questions[0]).toMatchObject({ type: 'single', correct: 0, options: ['The index', 'The remote', 'The stash', 'The reflog'] });
+  });
+
+  test('stores ordering items in order with their key', () => {
+    const question = { type: 'ordering', question: 'Order these', items: ['a', 'b', 'c'] };
+    const { value, errors } = validateQuiz({ questions: [question] }, { questionCount: 1, types: ['ordering'] });
+    expect(errors).toEqual([]);
+    expect(value.questions[0]).toMatchObject({ options: ['a', 'b', 'c'], correctOrder: [0, 1, 2] });
+  });
+});
+
+describe('validateShortAnswerGrades', () => {
+  test('reports non-numeric credit and missing grades', () => {
+    expect(rejectedReply('grading-missing-grade.txt', (data) => validateShortAnswerGrades(data, { ids: [1, 3] }))).toEqual([
+      'Answer 1 has "credit" "high"; it must be a number from 0 to 1',
+      'Missing a grade for answer 3'
+    ]);
+  });
+
+  test('accepts ids given as strings', () => {
+    const { value, errors } = validateShortAnswerGrades({ grades: [{ id: '3', credit: 0.5, feedback: ' Partly right. ' }] }, { ids: [3] });
+    expect(errors).toEqual([]);
+    expect(value.grades).toEqual([{ id: 3, credit: 0.5, feedback: 'Partly right.' }]);
+  });
+});
+
+describe('validateRecommendations', () => {
+  test('reports empty reasons and prerequisites outside the library', () => {
+    const validate = (data) => validateRecommendations(data, { libraryCount: 2 });
+    expect(rejectedReply('recommendations-unknown-prerequisite.txt', validate)).toEqual([
+      'Recommendation 2 is missing a "reason"',
+      'Recommendation 2 lists prerequisites that are not in the library: 4'
+    ]);
+  });
+});
+
+describe('validateTranslation', () => {
+  const quiz = {
+    questions: [{
+      question: 'What does git commit do?',
+      options: ['Records staged changes', 'Uploads changes', 'Deletes a branch', 'Clones a repository'],
+      explanation: 'A commit records the staged snapshot.'
+    }]
+  };
+
+  test('reports dropped items and untranslated fields by path', () => {
+    expect(rejectedReply('translation-dropped-option.txt', (data) => validateTranslation(data, quiz))).toEqual([
+      '"questions[0].options" must be an array of 4 items, like the original',
+      '"questions[0].explanation" must be the translated text'
+    ]);
+  });
+
+  test('keeps only the keys of the original', () => {
+    const lesson = { title: 'Commits', content: 'Staging changes and recording them.' };
+    const { value, errors } = validateTranslation({ title: 'Commits', content: 'Preparar cambios.', note: 'extra' }, lesson);
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ title: 'Commits', content: 'Preparar cambios.' });
+  });
+});
@@ -0,0 +1,235 @@
+// service-worker.js
+// Keeps opened learning paths readable offline and queues lesson
+// completions made without a connection until they can be sent.
+// The API base URL is passed in the registration URL as ?api=...
+
+const API_URL = new URL(globalThis.location).searchParams.get('api');
+
+const SHELL_CACHE = 'shell-v2';
+const PATHS_CACHE = 'paths-v1';
+const SYNC_TAG = 'lesson-completions';
+
+const DB_NAME = 'smart-learning';
+const QUEUE_STORE = 'completions';
+
+// Build output under PUBLIC_URL, which is where the worker is served from
+const STATIC_PATH = new URL('static/', globalThis.registration.scope).pathname;
+
+const PATH_URL = /\/learning-paths(\/[0-9a-f]{24})?$/;
+const COMPLETE_URL = /\/learning-paths\/([0-9a-f]{24})\/lessons\/(\d+)\/complete$/;
+
+// ====================
+// COMPLETION QUEUE
+// ====================
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    // Keyed by URL, so completing the same lesson twice offline queues it once
+    request.result.createObjectStore(QUEUE_STORE, { keyPath: 'url' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withStore = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(QUEUE_STORE, mode);
+    const request = fn(tx.objectStore(QUEUE_STORE));
+    tx.oncomplete = () => resolve(request && request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+const enqueue = (url) => withStore('readwrite', store => store.put({ url, queuedAt: Date.now() }));
+const queued = () => withStore('readonly', store => store.getAll());
+const dequeue = (url) => withStore('readwrite', store => store.delete(url));
+
+const notifyClients = async (message) => {
+  const clients = await globalThis.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+};
+
+// Replay queued completions in the order they were made. Network errors
+// and server errors leave an entry queued for the next attempt; a rejected
+// request (the lesson was deleted or locked meanwhile) is dropped.
+let flushing = null;
+
+const flush = () => {
+  if (!flushing) {
+    flushing = (async () => {
+      const entries = (await queued()).sort((a, b) => a.queuedAt - b.queuedAt);
+      for (const entry of entries) {
+        let response;
+        try {
+          response = await fetch(entry.url, { method: 'PATCH', credentials: 'include' });
+        } catch (error) {
+          throw new Error('Still offline');
+        }
+
+        if (response.ok) {
+          const path = await response.clone().json();
+          await cachePath(`${API_URL}/learning-paths/${path._id}`, response);
+          await dequeue(entry.url);
+          await notifyClients({ type: 'completion-synced', path });
+        } else if (response.status >= 400 && response.status < 500 && response.status !== 401) {
+          await dequeue(entry.url);
+          await notifyClients({ type: 'completion-rejected', url: entry.url, status: response.status });
+        }
+      }
+    })().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+};
+
+// ====================
+// PATH CACHE
+// ====================
+
+const cachePath = async (url, response) => {
+  const cache = await caches.open(PATHS_CACHE);
+  await cache.put(url, response);
+};
+
+// Mirror a queued completion in the cached copy of its path, so the lesson
+// still shows as done if the page is reloaded before the queue is flushed
+const markCachedLesson = async (pathId, lessonId) => {
+  const url = `${API_URL}/learning-paths/${pathId}`;
+  const cache = await caches.open(PATHS_CACHE);
+  const cached = await cache.match(url);
+  if (!cached) return;
+
+  const path = await cached.json();
+  const lesson = (path.lessons || []).find(l => l.id === lessonId);
+  if (!lesson) return;
+
+  lesson.viewed = true;
+  if (!lesson.hasQuiz) {
+    lesson.completed = true;
+  }
+  await cache.put(url, new Response(JSON.stringify(path), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+};
+
+// Network first, so paths are never shown stale while online
+const networkFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const queueCompletion = async (request, match) => {
+  try {
+    return await fetch(request.clone());
+  } catch (error) {
+    await enqueue(request.url);
+    await markCachedLesson(match[1], parseInt(match[2]));
+    if (globalThis.registration.sync) {
+      await globalThis.registration.sync.register(SYNC_TAG).catch(() => {});
+    }
+    return new Response(JSON.stringify({ queued: true }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+};
+
+// ====================
+// LIFECYCLE
+// ====================
+
+globalThis.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(['/', '/index.html']))
+      .then(() => globalThis.skipWaiting())
+  );
+});
+
+globalThis.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, PATHS_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+      .then(() => globalThis.clients.claim())
+      .then(() => flush().catch(() => {}))
+  );
+});
+
+globalThis.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = request.url.split('?')[0];
+
+  if (API_URL && url.startsWith(API_URL)) {
+    const route = url.slice(API_URL.length);
+    const completion = request.method === 'PATCH' && route.match(COMPLETE_URL);
+
+    if (completion) {
+      event.respondWith(queueCompletion(request, completion));
+    } else if (request.method === 'GET' && PATH_URL.test(route)) {
+      event.respondWith(networkFirst(request, PATHS_CACHE));
+    }
+    return;
+  }
+
+  if (request.method !== 'GET' || new URL(request.url).origin !== globalThis.location.origin) {
+    return;
+  }
+
+  // Client routes all load the same page, so any URL works offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Only build assets are content-hashed, so only they can be served from
+  // the cache without checking for a newer copy
+  if (!new URL(request.url).pathname.startsWith(STATIC_PATH)) {
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
+
+globalThis.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(flush());
+  }
+});
+
+// Browsers without Background Sync ask for a flush when they come back online.
+// On sign-out the cached paths and any unsent completions are dropped.
+globalThis.addEventListener('message', (event) => {
+  const { type } = event.data || {};
+  if (type === 'flush') {
+    event.waitUntil(flush().catch(() => {}));
+  } else if (type === 'clear') {
+    event.waitUntil(Promise.all([
+      caches.delete(PATHS_CACHE),
+      withStore('readwrite', store => store.clear())
+    ]));
+  }
+});
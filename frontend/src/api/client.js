@@ -0,0 +1,106 @@
+import axios from 'axios';
+import API_URL from '../config/api';
+
+// Every request to the backend goes through this client, so the base URL
+// and cookie handling are configured in one place
+const http = axios.create({
+  baseURL: API_URL,
+  withCredentials: true
+});
+
+const data = (request) => request.then(response => response.data);
+
+// ====================
+// AUTH
+// ====================
+
+export const getUser = () => data(http.get('/auth/user'));
+
+export const logout = () => data(http.post('/auth/logout'));
+
+// Google sign-in is a full-page redirect rather than an XHR
+export const googleLoginUrl = () => `${API_URL}/auth/google`;
+
+// ====================
+// BACKGROUND JOBS
+// ====================
+
+// Generation runs as a background job; poll it until it finishes
+export const waitForJob = async (job) => {
+  while (job.status === 'queued' || job.status === 'running') {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    job = await data(http.get(`/jobs/${job.jobId}`));
+  }
+  if (job.status === 'failed') {
+    const error = new Error(job.error ? job.error.message : 'Job failed');
+    error.job = job;
+    throw error;
+  }
+  return job.result;
+};
+
+// Callers pass the same key when they retry a request, so the server returns
+// the job it already queued instead of queueing another. A failed job is
+// returned for its key too, so trying again after a failure needs a new key.
+const submitJob = (url, body, idempotencyKey) => data(http.post(url, body, {
+  headers: { 'Idempotency-Key': idempotencyKey }
+})).then(waitForJob);
+
+// ====================
+// LEARNING PATHS
+// ====================
+
+export const listPaths = () => data(http.get('/learning-paths'));
+
+export const getPath = (pathId) => data(http.get(`/learning-paths/${pathId}`));
+
+// Lessons are streamed as Server-Sent Events. Handlers receive the new path,
+// each lesson as it arrives, the finished path, or an error. Returns a
+// function that stops listening.
+export const streamPath = (topic, { onPath, onLesson, onDone, onError }) => {
+  const source = new EventSource(
+    `${API_URL}/learning-paths/generate/stream?topic=${encodeURIComponent(topic)}`,
+    { withCredentials: true }
+  );
+
+  source.addEventListener('path', (event) => onPath(JSON.parse(event.data)));
+  source.addEventListener('lesson', (event) => onLesson(JSON.parse(event.data)));
+  source.addEventListener('done', (event) => {
+    source.close();
+    onDone(JSON.parse(event.data));
+  });
+  source.addEventListener('error', (event) => {
+    // Fired both for server-sent error events and for dropped connections
+    source.close();
+    onError(event.data || event);
+  });
+
+  return () => source.close();
+};
+
+// Resolves to { path, queued }. Offline, the service worker queues the
+// request and answers 202, and path is null until it has been replayed.
+export const completeLesson = async (pathId, lessonId) => {
+  const response = await http.patch(`/learning-paths/${pathId}/lessons/${lessonId}/complete`);
+  const queued = response.status === 202 && Boolean(response.data && response.data.queued);
+  return { path: queued ? null : response.data, queued };
+};
+
+// ====================
+// QUIZZES
+// ====================
+
+export const generateQuiz = (pathId, lessonId, idempotencyKey) =>
+  submitJob('/quizzes/generate', { pathId, lessonId }, idempotencyKey);
+
+export const getQuiz = (quizId) => data(http.get(`/quizzes/${quizId}`));
+
+export const submitQuiz = (quizId, answers) => data(http.post('/quizzes/submit', { quizId, answers }));
+
+// ====================
+// STATS
+// ====================
+
+export const getStats = () => data(http.get('/stats'));
+
+export const getStatsTimeline = (params) => data(http.get('/stats/timeline', { params }));
@@ -1,3 +1,4 @@
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5500/api';
+// The backend listens on port 5000 unless PORT is set
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
-export default API_URL;
\ No newline at end of file
+export default API_URL;
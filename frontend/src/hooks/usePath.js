@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+import { getPath } from '../api/client';
+
+// Loads a path for views opened straight from a URL. The app-wide list stays
+// the single copy of each path: the fetched path is handed to onPathChange
+// and read back from paths, so updates made anywhere show up everywhere.
+// status is 'loading', 'ready', 'missing' or 'error'. onPathChange must be
+// stable (e.g. from useCallback), or every render fetches the path again.
+export default function usePath(pathId, paths, onPathChange) {
+  const [status, setStatus] = useState('loading');
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('loading');
+
+    getPath(pathId)
+      .then(path => {
+        if (cancelled) return;
+        onPathChange(path);
+        setStatus('ready');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error fetching path:', error);
+        setStatus(error.response && error.response.status === 404 ? 'missing' : 'error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pathId, onPathChange]);
+
+  return { path: paths.find(p => p._id === pathId) || null, status };
+}
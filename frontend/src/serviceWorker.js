@@ -0,0 +1,41 @@
+import API_URL from './config/api';
+
+// Registers public/service-worker.js in production builds. It caches opened
+// paths for offline reading and queues lesson completions made while offline.
+// onMessage receives { type: 'completion-synced', path } once a queued
+// completion reaches the server, or { type: 'completion-rejected', url, status }.
+export const register = (onMessage) => {
+  // Development builds aren't content-hashed, so a worker serving them from
+  // its cache would hide every change
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return () => {};
+
+  const swUrl = `${process.env.PUBLIC_URL || ''}/service-worker.js?api=${encodeURIComponent(API_URL)}`;
+  navigator.serviceWorker.register(swUrl).catch(error => {
+    console.error('Service worker registration failed:', error);
+  });
+
+  // Background Sync isn't available everywhere, so also ask the worker to
+  // flush its queue whenever the browser reports the connection is back
+  const flush = () => {
+    navigator.serviceWorker.ready.then(registration => {
+      if (registration.active) {
+        registration.active.postMessage({ type: 'flush' });
+      }
+    });
+  };
+  const handleMessage = (event) => onMessage(event.data || {});
+
+  window.addEventListener('online', flush);
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+
+  return () => {
+    window.removeEventListener('online', flush);
+    navigator.serviceWorker.removeEventListener('message', handleMessage);
+  };
+};
+
+// Forget cached paths and unsent completions, e.g. when signing out
+export const clear = () => {
+  if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+  navigator.serviceWorker.controller.postMessage({ type: 'clear' });
+};
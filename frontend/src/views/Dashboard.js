@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { Brain, Trophy, TrendingUp, Sparkles } from 'lucide-react';
+import { streamPath } from '../api/client';
+
+export default function Dashboard({ learningPaths, stats, onPathChange, onProgress }) {
+  const [newTopic, setNewTopic] = useState('');
+  const [loading, setLoading] = useState(false);
+  const stopStream = useRef(null);
+
+  // Stop listening if the user navigates away mid-generation; the server
+  // keeps generating and the path shows up in the list next time
+  useEffect(() => () => {
+    if (stopStream.current) stopStream.current();
+  }, []);
+
+  const generateLearningPath = () => {
+    if (!newTopic.trim()) return;
+
+    setLoading(true);
+    let partial = null;
+
+    // Lessons are rendered as they arrive
+    stopStream.current = streamPath(newTopic, {
+      onPath: (path) => {
+        partial = { ...path, progress: 0, lessons: [], status: 'generating' };
+        onPathChange(partial);
+        setNewTopic('');
+      },
+      onLesson: (lesson) => {
+        partial = { ...partial, lessons: [...partial.lessons, lesson] };
+        onPathChange(partial);
+      },
+      onDone: (path) => {
+        onPathChange(path);
+        setLoading(false);
+        onProgress();
+      },
+      onError: (error) => {
+        console.error('Error generating path:', error);
+        setLoading(false);
+        if (partial) {
+          onPathChange({ ...partial, status: 'failed' });
+        }
+        alert('Failed to generate learning path. Please try again.');
+      }
+    });
+  };
+
+  return (
+    <div className="space-y-8">
+      {stats && (
+        <div className="grid grid-cols-3 gap-4">
+          <div className="bg-white rounded-lg p-4 shadow-sm flex items-center gap-3">
+            <TrendingUp className="w-6 h-6 text-indigo-600" />
+            <div>
+              <div className="text-2xl font-bold">{stats.overallProgress}%</div>
+              <div className="text-sm text-gray-500">Overall progress</div>
+            </div>
+          </div>
+          <div className="bg-white rounded-lg p-4 shadow-sm flex items-center gap-3">
+            <Trophy className="w-6 h-6 text-yellow-500" />
+            <div>
+              <div className="text-2xl font-bold">{stats.masteredLessons}/{stats.totalLessons}</div>
+              <div className="text-sm text-gray-500">Lessons mastered</div>
+            </div>
+          </div>
+          <div className="bg-white rounded-lg p-4 shadow-sm flex items-center gap-3">
+            <Brain className="w-6 h-6 text-pink-500" />
+            <div>
+              <div className="text-2xl font-bold">{stats.averageQuizScore}%</div>
+              <div className="text-sm text-gray-500">Average quiz score</div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg p-6 shadow-sm">
+        <h2 className="text-lg font-semibold mb-3">What do you want to learn?</h2>
+        <div className="flex gap-3">
+          <input
+            value={newTopic}
+            onChange={(e) => setNewTopic(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && generateLearningPath()}
+            placeholder="e.g. Linear algebra, Rust ownership, Baroque music"
+            className="flex-1 border rounded-lg px-4 py-2"
+            disabled={loading}
+          />
+          <button
+            onClick={generateLearningPath}
+            disabled={loading || !newTopic.trim()}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50"
+          >
+            <Sparkles className="w-4 h-4" /> {loading ? 'Generating...' : 'Generate'}
+          </button>
+        </div>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        {learningPaths.map(path => (
+          <Link
+            key={path._id}
+            to={`/paths/${path._id}`}
+            className="block bg-white rounded-lg p-5 shadow-sm hover:shadow-md"
+          >
+            <h3 className="font-semibold">{path.title}</h3>
+            <p className="text-sm text-gray-500 mt-1">{path.description}</p>
+            <div className="mt-4 h-2 bg-gray-100 rounded">
+              <div className="h-2 bg-indigo-600 rounded" style={{ width: `${path.progress || 0}%` }} />
+            </div>
+            <div className="mt-2 text-xs text-gray-500">
+              {path.status === 'generating' && 'Generating... '}
+              {path.status === 'failed' && 'Generation failed. '}
+              {(path.lessons || []).length} lessons · {Math.round(path.progress || 0)}% complete
+            </div>
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Brain, CheckCircle } from 'lucide-react';
+import { completeLesson } from '../api/client';
+import usePath from '../hooks/usePath';
+
+export default function LessonView({ learningPaths, onPathChange, onProgress }) {
+  const { pathId, lessonId } = useParams();
+  const navigate = useNavigate();
+  const { path, status } = usePath(pathId, learningPaths, onPathChange);
+  const [saving, setSaving] = useState(false);
+  const [queued, setQueued] = useState(false);
+
+  const lesson = path && path.lessons.find(l => l.id === parseInt(lessonId));
+
+  if (!lesson) {
+    if (status === 'loading') return <p className="text-gray-500">Loading...</p>;
+    return (
+      <p className="text-gray-500">
+        This lesson could not be found.{' '}
+        <Link to={path ? `/paths/${pathId}` : '/'} className="text-indigo-600">Go back</Link>
+      </p>
+    );
+  }
+
+  const handleComplete = async () => {
+    setSaving(true);
+    try {
+      const result = await completeLesson(pathId, lesson.id);
+
+      if (result.queued) {
+        // Offline: show the lesson as done until the queued request is sent
+        onPathChange({
+          ...path,
+          lessons: path.lessons.map(l => (l.id === lesson.id
+            ? { ...l, viewed: true, completed: l.completed || !l.hasQuiz }
+            : l))
+        });
+        setQueued(true);
+        return;
+      }
+
+      onPathChange(result.path);
+      onProgress();
+
+      if (lesson.hasQuiz) {
+        navigate(`/paths/${pathId}/lessons/${lesson.id}/quiz`);
+      } else {
+        navigate(`/paths/${pathId}`);
+      }
+    } catch (error) {
+      console.error('Error completing lesson:', error);
+      alert((error.response && error.response.data.error) || 'Failed to complete lesson. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <article className="bg-white rounded-lg p-8 shadow-sm space-y-6">
+      <Link to={`/paths/${pathId}`} className="text-sm text-indigo-600">← {path.title}</Link>
+      <h1 className="text-2xl font-bold">{lesson.title}</h1>
+      <div className="whitespace-pre-wrap leading-relaxed text-gray-800">{lesson.content}</div>
+
+      {queued && (
+        <p className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm">
+          You're offline. Your progress is saved on this device and will sync when you reconnect.
+          {lesson.hasQuiz && ' The quiz needs a connection.'}
+        </p>
+      )}
+
+      <div className="flex gap-3">
+        {!lesson.viewed || (!lesson.hasQuiz && !lesson.completed) ? (
+          <button
+            onClick={handleComplete}
+            disabled={saving}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 text-white disabled:opacity-50"
+          >
+            <CheckCircle className="w-4 h-4" /> {lesson.hasQuiz ? 'Finish and take quiz' : 'Mark complete'}
+          </button>
+        ) : lesson.hasQuiz && !queued && (
+          <Link
+            to={`/paths/${pathId}/lessons/${lesson.id}/quiz`}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 text-white"
+          >
+            <Brain className="w-4 h-4" /> {lesson.completed ? 'Retake quiz' : 'Take quiz'}
+          </Link>
+        )}
+      </div>
+    </article>
+  );
+}
@@ -0,0 +1,85 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { CheckCircle, Circle } from 'lucide-react';
+import usePath from '../hooks/usePath';
+
+export default function PathView({ learningPaths, onPathChange }) {
+  const { pathId } = useParams();
+  const { path, status } = usePath(pathId, learningPaths, onPathChange);
+
+  if (!path) {
+    if (status === 'loading') return <p className="text-gray-500">Loading...</p>;
+    return (
+      <p className="text-gray-500">
+        {status === 'missing' ? 'This learning path does not exist.' : 'This path could not be loaded.'}{' '}
+        <Link to="/" className="text-indigo-600">Back to your paths</Link>
+      </p>
+    );
+  }
+
+  const prerequisites = path.prerequisiteStatus;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <Link to="/" className="text-sm text-indigo-600">← All paths</Link>
+        <h1 className="text-2xl font-bold mt-2">{path.title}</h1>
+        <p className="text-gray-600 mt-1">{path.description}</p>
+        <div className="mt-4 h-2 bg-gray-100 rounded">
+          <div className="h-2 bg-indigo-600 rounded" style={{ width: `${path.progress || 0}%` }} />
+        </div>
+      </div>
+
+      {prerequisites && !prerequisites.met && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm">
+          {prerequisites.mode === 'lock'
+            ? 'Finish these paths before completing lessons here:'
+            : 'These paths are recommended first:'}
+          <ul className="mt-2 list-disc list-inside">
+            {prerequisites.prerequisites.filter(p => !p.completed).map(p => (
+              <li key={p.pathId}>
+                <Link to={`/paths/${p.pathId}`} className="text-indigo-600">{p.title}</Link>
+                {' '}({Math.round(p.progress)}%)
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <ol className="space-y-2">
+        {path.lessons.map(lesson => {
+          const icon = lesson.completed
+            ? <CheckCircle className="w-5 h-5 text-green-600" />
+            : <Circle className="w-5 h-5 text-gray-300" />;
+          const label = (
+            <>
+              {icon}
+              <span className="flex-1">{lesson.title}</span>
+              {lesson.remedial && <span className="text-xs text-gray-500">Review</span>}
+              {lesson.bestScore !== undefined && lesson.bestScore !== null && (
+                <span className="text-xs text-gray-500">Best {lesson.bestScore}%</span>
+              )}
+            </>
+          );
+
+          return (
+            <li key={lesson.id}>
+              {lesson.locked ? (
+                <div className="flex items-center gap-3 bg-white rounded-lg p-4 opacity-50" title="Master the previous lessons first">
+                  {label}
+                </div>
+              ) : (
+                <Link
+                  to={`/paths/${path._id}/lessons/${lesson.id}`}
+                  className="flex items-center gap-3 bg-white rounded-lg p-4 shadow-sm hover:shadow-md"
+                >
+                  {label}
+                </Link>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
+import { CheckCircle, Circle, Trophy } from 'lucide-react';
+import * as api from '../api/client';
+
+// Ordering questions start in the order shown, as a list of option indices
+const initialAnswers = (quiz) => {
+  const answers = {};
+  quiz.questions.forEach((q, idx) => {
+    if (q.type === 'ordering') {
+      answers[idx] = q.options.map((option, i) => i);
+    }
+  });
+  return answers;
+};
+
+function QuestionInput({ question, value, onChange }) {
+  switch (question.type) {
+    case 'multiple': {
+      const picked = value || [];
+      return question.options.map((option, i) => (
+        <label key={i} className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={picked.includes(i)}
+            onChange={() => onChange(picked.includes(i) ? picked.filter(p => p !== i) : [...picked, i])}
+          />
+          {option}
+        </label>
+      ));
+    }
+    case 'ordering': {
+      const move = (from, to) => {
+        const next = [...value];
+        next.splice(to, 0, next.splice(from, 1)[0]);
+        onChange(next);
+      };
+      return value.map((optionIdx, pos) => (
+        <div key={optionIdx} className="flex items-center gap-2 border rounded px-3 py-2">
+          <span className="flex-1">{question.options[optionIdx]}</span>
+          <button type="button" disabled={pos === 0} onClick={() => move(pos, pos - 1)}>↑</button>
+          <button type="button" disabled={pos === value.length - 1} onClick={() => move(pos, pos + 1)}>↓</button>
+        </div>
+      ));
+    }
+    case 'short_answer':
+      return (
+        <textarea
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          rows={3}
+          className="w-full border rounded-lg px-3 py-2"
+        />
+      );
+    default:
+      return question.options.map((option, i) => (
+        <label key={i} className="flex items-center gap-2">
+          <input type="radio" checked={value === i} onChange={() => onChange(i)} />
+          {option}
+        </label>
+      ));
+  }
+}
+
+export default function QuizView({ onPathChange, onProgress }) {
+  const { pathId, lessonId, quizId } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [quiz, setQuiz] = useState(null);
+  const [quizAnswers, setQuizAnswers] = useState({});
+  const [quizResult, setQuizResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [attempt, setAttempt] = useState(0);
+  const generating = useRef(false);
+  // One key per attempt at generating this lesson's quiz; kept across
+  // retries of a request that never reached the server
+  const generationKey = useRef(null);
+
+  const lessonUrl = `/paths/${pathId}/lessons/${lessonId}`;
+
+  // Without a quiz id in the URL, generate one and move to its own URL,
+  // so a reload shows the same questions instead of generating new ones
+  useEffect(() => {
+    generationKey.current = null;
+  }, [pathId, lessonId]);
+
+  useEffect(() => {
+    if (quizId || generating.current) return;
+    generating.current = true;
+    if (!generationKey.current) {
+      generationKey.current = window.crypto.randomUUID();
+    }
+
+    api.generateQuiz(pathId, parseInt(lessonId), generationKey.current)
+      .then(generated => {
+        generationKey.current = null;
+        navigate(`${lessonUrl}/quiz/${generated.quizId}`, { replace: true, state: { quiz: generated } });
+      })
+      .catch(err => {
+        console.error('Error generating quiz:', err);
+        // The server answered or the job failed, so the key is used up
+        if (err.response || err.job) {
+          generationKey.current = null;
+        }
+        setError((err.response && err.response.data.error) || 'Failed to generate quiz.');
+      })
+      .finally(() => {
+        generating.current = false;
+      });
+  }, [quizId, pathId, lessonId, lessonUrl, navigate, attempt]);
+
+  const retryGeneration = () => {
+    setError(null);
+    setAttempt(n => n + 1);
+  };
+
+  useEffect(() => {
+    if (!quizId) return;
+
+    const load = location.state && location.state.quiz && location.state.quiz.quizId === quizId
+      ? Promise.resolve(location.state.quiz)
+      : api.getQuiz(quizId);
+
+    load
+      .then(loaded => {
+        setQuiz(loaded);
+        setQuizAnswers(initialAnswers(loaded));
+        setQuizResult(null);
+      })
+      .catch(err => {
+        console.error('Error fetching quiz:', err);
+        setError('This quiz could not be loaded.');
+      });
+  }, [quizId, location.state]);
+
+  const submitQuiz = async () => {
+    setSubmitting(true);
+    try {
+      // The server grades the quiz and returns the per-question breakdown
+      const result = await api.submitQuiz(quiz.quizId, quizAnswers);
+      setQuizResult(result);
+
+      // A passing attempt can master the lesson and change path progress
+      if (result.path) {
+        onPathChange(result.path);
+      }
+      onProgress();
+    } catch (err) {
+      console.error('Error submitting quiz:', err);
+      alert((err.response && err.response.data.error) || 'Failed to submit quiz. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (error) {
+    return (
+      <p className="text-gray-500">
+        {error}{' '}
+        {!quizId && (
+          <button type="button" onClick={retryGeneration} className="text-indigo-600">Try again</button>
+        )}{' '}
+        <Link to={lessonUrl} className="text-indigo-600">Back to the lesson</Link>
+      </p>
+    );
+  }
+
+  if (!quiz) {
+    return <p className="text-gray-500">{quizId ? 'Loading...' : 'Generating your quiz...'}</p>;
+  }
+
+  if (quiz.submittedAt && !quizResult) {
+    return (
+      <p className="text-gray-500">
+        You have already submitted this quiz.{' '}
+        <Link to={`${lessonUrl}/quiz`} className="text-indigo-600">Take a new one</Link>
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <Link to={lessonUrl} className="text-sm text-indigo-600">← Back to the lesson</Link>
+
+      {quizResult && (
+        <div className="bg-white rounded-lg p-6 shadow-sm flex items-center gap-4">
+          <Trophy className={`w-10 h-10 ${quizResult.mastered ? 'text-yellow-500' : 'text-gray-300'}`} />
+          <div className="flex-1">
+            <div className="text-2xl font-bold">{quizResult.score}%</div>
+            <div className="text-sm text-gray-500">
+              {quizResult.correctCount} of {quizResult.totalQuestions} correct ·{' '}
+              {quizResult.mastered ? 'Lesson mastered' : `${quizResult.masteryThreshold}% needed to master`}
+            </div>
+            {quizResult.certificate && (
+              <div className="text-sm text-green-700 mt-1">Path complete: your certificate is ready.</div>
+            )}
+          </div>
+          {quizResult.remedialLesson ? (
+            <Link to={`/paths/${pathId}/lessons/${quizResult.remedialLesson.id}`} className="text-indigo-600">
+              Review lesson →
+            </Link>
+          ) : (
+            <Link to={`/paths/${pathId}`} className="text-indigo-600">Back to the path →</Link>
+          )}
+        </div>
+      )}
+
+      {quiz.questions.map((question, idx) => {
+        const graded = quizResult && quizResult.breakdown[idx];
+        return (
+          <div key={question.id} className="bg-white rounded-lg p-6 shadow-sm space-y-3">
+            <div className="flex items-start gap-2 font-medium">
+              {graded && (graded.isCorrect
+                ? <CheckCircle className="w-5 h-5 text-green-600 shrink-0" />
+                : <Circle className="w-5 h-5 text-red-400 shrink-0" />)}
+              {idx + 1}. {question.question}
+            </div>
+            <fieldset disabled={Boolean(quizResult)} className="space-y-2">
+              <QuestionInput
+                question={question}
+                value={quizAnswers[idx]}
+                onChange={(value) => setQuizAnswers(answers => ({ ...answers, [idx]: value }))}
+              />
+            </fieldset>
+            {graded && (
+              <div className="text-sm text-gray-600 space-y-1">
+                {graded.feedback && <p>{graded.feedback}</p>}
+                {graded.sampleAnswer && <p>Sample answer: {graded.sampleAnswer}</p>}
+                {graded.explanation && <p>{graded.explanation}</p>}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {!quizResult && (
+        <button
+          onClick={submitQuiz}
+          disabled={submitting}
+          className="px-6 py-3 rounded-lg bg-indigo-600 text-white font-medium disabled:opacity-50"
+        >
+          {submitting ? 'Grading...' : 'Submit answers'}
+        </button>
+      )}
+    </div>
+  );
+}
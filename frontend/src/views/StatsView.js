@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getStatsTimeline } from '../api/client';
+
+export default function StatsView({ stats }) {
+  const [timeline, setTimeline] = useState(null);
+
+  useEffect(() => {
+    getStatsTimeline()
+      .then(setTimeline)
+      .catch(error => console.error('Error fetching stats timeline:', error));
+  }, []);
+
+  if (!stats) {
+    return <p className="text-gray-500">Loading...</p>;
+  }
+
+  const totals = [
+    ['Paths', stats.totalPaths],
+    ['Lessons mastered', `${stats.masteredLessons}/${stats.totalLessons}`],
+    ['Lessons in progress', stats.viewedLessons],
+    ['Overall progress', `${stats.overallProgress}%`],
+    ['Quizzes taken', stats.totalQuizzes],
+    ['Average quiz score', `${stats.averageQuizScore}%`],
+    ['Reviews due today', stats.reviewsDueToday],
+    ['Reviews done today', stats.reviewsCompletedToday]
+  ];
+  const busiest = timeline ? Math.max(1, ...timeline.buckets.map(b => b.lessonsCompleted)) : 1;
+
+  return (
+    <div className="space-y-8">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {totals.map(([label, value]) => (
+          <div key={label} className="bg-white rounded-lg p-4 shadow-sm">
+            <div className="text-2xl font-bold">{value}</div>
+            <div className="text-sm text-gray-500">{label}</div>
+          </div>
+        ))}
+      </div>
+
+      {timeline && (
+        <>
+          <div className="bg-white rounded-lg p-6 shadow-sm">
+            <h2 className="font-semibold">Last 30 days</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              Current streak {timeline.streaks.current} days · longest {timeline.streaks.longest} days
+            </p>
+            <div className="flex items-end gap-1 h-32 mt-4">
+              {timeline.buckets.map(bucket => (
+                <div
+                  key={bucket.start}
+                  className="flex-1 bg-indigo-500 rounded-t"
+                  style={{ height: `${(bucket.lessonsCompleted / busiest) * 100}%` }}
+                  title={`${bucket.start.slice(0, 10)}: ${bucket.lessonsCompleted} lessons, ${bucket.quizzesTaken} quizzes`}
+                />
+              ))}
+            </div>
+          </div>
+
+          {timeline.pathTrends.length > 0 && (
+            <div className="bg-white rounded-lg p-6 shadow-sm">
+              <h2 className="font-semibold mb-3">Quiz scores by path</h2>
+              <ul className="space-y-2 text-sm">
+                {timeline.pathTrends.map(trend => (
+                  <li key={trend.pathId} className="flex justify-between">
+                    <Link to={`/paths/${trend.pathId}`} className="text-indigo-600">
+                      {trend.title || 'Deleted path'}
+                    </Link>
+                    <span className="text-gray-500">
+                      {trend.points.map(p => `${p.averageScore}%`).join(' → ')}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}